@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/**
+ * Build the static zip → lat/lng centroid table the frontend uses for
+ * patient zip searches, so lookups never hit a live geocoder.
+ *
+ * Source data is the US Census Bureau ZCTA Gazetteer (public domain). By
+ * default the copy bundled in the `us-zips` package is used; pass a newer
+ * Gazetteer file to rebuild from it directly.
+ *
+ * Usage:
+ *   node build-zip-centroids.js                                  # Bundled dataset
+ *   node build-zip-centroids.js --gazetteer 2024_Gaz_zcta_national.txt
+ *   node build-zip-centroids.js --population zcta-population.csv
+ *   node build-zip-centroids.js --places 2024_Gaz_place_national.txt
+ *
+ * Each zip maps to [lat, lng], or [lat, lng, population] when populations
+ * are known: from --population (a CSV with a ZCTA and a population column,
+ * e.g. Census table P1 for "All ZCTAs" from data.census.gov) or a 2010
+ * Gazetteer's POP10 column. Without either, every US town of 1,000+ people
+ * in GeoNames (bundled in the `all-the-cities` package, CC BY 4.0) adds its
+ * population to its nearest zip, which puts people in roughly the right
+ * place and leaves rural zips at none. The map's coverage view uses them to
+ * rank gaps by the people they affect.
+ *
+ * Town names let patients be searched by "City, ST" (see
+ * public/js/shared/locations.js). Each becomes [name, state, lat, lng,
+ * population]; they're the same GeoNames towns unless --places names a
+ * Census Gazetteer places file to take them from instead (its population
+ * only when the file has one).
+ *
+ * Gazetteer files: https://www.census.gov/geographies/reference-files/time-series/geo/gazetteer-files.html
+ */
+
+import { writeFileSync, readFileSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import usZips from "us-zips";
+import cities from "all-the-cities";
+import { parseCsvLine } from "./lib/npi.js";
+import { createGridIndex } from "./public/js/shared/grid.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const OUTPUT_PATH = join(__dirname, "public", "zip-centroids.json");
+
+// 3 decimal places is ~110 m — plenty for a zip centroid, and keeps the file small
+const PRECISION = 3;
+
+const args = process.argv.slice(2);
+const gazIndex = args.indexOf("--gazetteer");
+const GAZETTEER_PATH = gazIndex !== -1 ? args[gazIndex + 1] : null;
+const popIndex = args.indexOf("--population");
+const POPULATION_PATH = popIndex !== -1 ? args[popIndex + 1] : null;
+const placesIndex = args.indexOf("--places");
+const PLACES_PATH = placesIndex !== -1 ? args[placesIndex + 1] : null;
+
+// Header names the zip and population columns go by in Census downloads
+const ZIP_COLUMN_RE = /^(zcta5?|zip|zip_?code|geo_?id|geoid|name)$/i;
+const POPULATION_COLUMN_RE = /^(population|pop|pop10|p1_001n|p001001|b01003_001e)$/i;
+
+/**
+ * Parse a Census Gazetteer ZCTA file (tab-separated, header row;
+ * GEOID first, INTPTLAT/INTPTLONG last).
+ */
+function readGazetteer(path) {
+  const lines = readFileSync(path, "utf8").split(/\r?\n/).filter(Boolean);
+  const header = lines[0].split("\t").map((h) => h.trim());
+  const latCol = header.indexOf("INTPTLAT");
+  const lngCol = header.indexOf("INTPTLONG");
+  const popCol = header.indexOf("POP10");
+  if (latCol === -1 || lngCol === -1) {
+    throw new Error(`${path} does not look like a ZCTA Gazetteer file`);
+  }
+
+  const zips = {};
+  for (const line of lines.slice(1)) {
+    const cols = line.split("\t");
+    zips[cols[0].trim()] = {
+      latitude: parseFloat(cols[latCol]),
+      longitude: parseFloat(cols[lngCol]),
+      population: popCol !== -1 ? parseInt(cols[popCol], 10) : undefined,
+    };
+  }
+  return zips;
+}
+
+/**
+ * Read zip → population from a CSV. Zip cells may carry a prefix (GEO_ID
+ * "860Z200US07030", NAME "ZCTA5 07030"); rows without a zip, such as the
+ * second header row in data.census.gov downloads, are skipped.
+ */
+function readPopulation(path) {
+  const lines = readFileSync(path, "utf8").replace(/^\uFEFF/, "").split(/\r?\n/).filter(Boolean);
+  const header = parseCsvLine(lines[0]).map((h) => h.trim());
+  const zipCol = header.findIndex((h) => ZIP_COLUMN_RE.test(h));
+  const popCol = header.findIndex((h) => POPULATION_COLUMN_RE.test(h));
+  if (zipCol === -1 || popCol === -1) {
+    throw new Error(`${path} needs a zip (ZCTA, GEO_ID, …) and a population (P1_001N, population, …) column`);
+  }
+
+  const population = new Map();
+  for (const line of lines.slice(1)) {
+    const cols = parseCsvLine(line);
+    const zip = /(\d{5})$/.exec((cols[zipCol] || "").trim())?.[1];
+    const count = parseInt(cols[popCol], 10);
+    if (zip && !isNaN(count)) population.set(zip, count);
+  }
+  return population;
+}
+
+// "Hoboken city", "Abbeville CDP", "Nashville-Davidson metropolitan
+// government (balance)" → the name people use
+function placeName(name) {
+  return name
+    .replace(/\s*\(balance\)$/, "")
+    .replace(/(\s+(?:[a-z]+|CDP))+$/, "")
+    .trim();
+}
+
+/**
+ * Parse a Census Gazetteer places file (tab-separated: USPS, GEOID, …,
+ * NAME, …, INTPTLAT, INTPTLONG).
+ */
+function readPlaces(path) {
+  const lines = readFileSync(path, "utf8").split(/\r?\n/).filter(Boolean);
+  const header = lines[0].split("\t").map((h) => h.trim());
+  const col = (name) => header.indexOf(name);
+  const [stateCol, nameCol, latCol, lngCol, popCol] =
+    ["USPS", "NAME", "INTPTLAT", "INTPTLONG", "POP10"].map(col);
+  if ([stateCol, nameCol, latCol, lngCol].includes(-1)) {
+    throw new Error(`${path} does not look like a places Gazetteer file`);
+  }
+
+  const places = [];
+  for (const line of lines.slice(1)) {
+    const cols = line.split("\t");
+    const name = placeName(cols[nameCol]);
+    const state = cols[stateCol].trim();
+    const lat = parseFloat(cols[latCol]);
+    const lng = parseFloat(cols[lngCol]);
+    const pop = popCol !== -1 ? parseInt(cols[popCol], 10) : NaN;
+    if (!name || isNaN(lat) || isNaN(lng)) continue;
+    places.push({ name, state, lat, lng, population: isNaN(pop) ? undefined : pop });
+  }
+  return places;
+}
+
+/**
+ * The places table: one [name, state, lat, lng, population?] per town,
+ * sorted by state and name. A town listed twice in one state (a city and a
+ * CDP of the same name) keeps its most populous entry, or its first.
+ */
+function placeTable(places) {
+  const byKey = new Map();
+  for (const { name, state, lat, lng, population } of places) {
+    const key = `${name.toLowerCase()}|${state}`;
+    const existing = byKey.get(key);
+    if (existing && !(population > (existing[4] ?? -1))) continue;
+    byKey.set(
+      key,
+      population === undefined ? [name, state, round(lat), round(lng)] : [name, state, round(lat), round(lng), population]
+    );
+  }
+  return [...byKey.values()].sort((a, b) => a[1].localeCompare(b[1]) || a[0].localeCompare(b[0]));
+}
+
+// GeoNames feature codes for parts of a town (New York City's boroughs)
+// and places that are gone, which would count people twice or not at all
+const SKIP_FEATURES = new Set(["PPLX", "PPLQ", "PPLH", "PPLW"]);
+
+/** US towns from GeoNames as { name, state, lat, lng, population }. */
+function readTowns() {
+  return cities
+    .filter((c) => c.country === "US" && c.adminCode && !SKIP_FEATURES.has(c.featureCode))
+    .map((c) => {
+      const [lng, lat] = c.loc.coordinates;
+      return { name: c.name, state: c.adminCode, lat, lng, population: c.population };
+    });
+}
+
+/**
+ * Zip → population, each town's people counted at its nearest zip centroid
+ * (within 25 miles, so territories without zips here are left out).
+ */
+function townPopulation(source, towns) {
+  const index = createGridIndex(
+    Object.entries(source)
+      .map(([zip, { latitude, longitude }]) => ({ zip, lat: latitude, lng: longitude }))
+      .filter((z) => /^\d{5}$/.test(z.zip) && !isNaN(z.lat) && !isNaN(z.lng))
+  );
+  const population = new Map();
+  for (const town of towns) {
+    const hit = index.nearest(town.lat, town.lng, 25);
+    if (hit) population.set(hit.point.zip, (population.get(hit.point.zip) || 0) + town.population);
+  }
+  return population;
+}
+
+function round(n) {
+  return Number(n.toFixed(PRECISION));
+}
+
+function main() {
+  const source = GAZETTEER_PATH
+    ? readGazetteer(GAZETTEER_PATH)
+    : usZips;
+
+  const towns = readTowns();
+  const gazetteerPopulation = Object.values(source).some((z) => Number.isInteger(z.population));
+  const population = POPULATION_PATH
+    ? readPopulation(POPULATION_PATH)
+    : gazetteerPopulation
+      ? new Map()
+      : townPopulation(source, towns);
+
+  const zips = {};
+  let withPopulation = 0;
+  for (const zip of Object.keys(source).sort()) {
+    const { latitude, longitude } = source[zip];
+    if (!/^\d{5}$/.test(zip) || isNaN(latitude) || isNaN(longitude)) continue;
+    const pop = population.get(zip) ?? source[zip].population;
+    zips[zip] = Number.isInteger(pop)
+      ? [round(latitude), round(longitude), pop]
+      : [round(latitude), round(longitude)];
+    if (Number.isInteger(pop)) withPopulation++;
+  }
+
+  const output = {
+    generated: new Date().toISOString(),
+    source: GAZETTEER_PATH
+      ? `Census ZCTA Gazetteer (${GAZETTEER_PATH.split(/[\\/]/).pop()})`
+      : "Census ZCTA Gazetteer (us-zips package)",
+    count: Object.keys(zips).length,
+    population: POPULATION_PATH
+      ? POPULATION_PATH.split(/[\\/]/).pop()
+      : gazetteerPopulation
+        ? "Gazetteer POP10"
+        : "GeoNames towns of 1,000+ at their nearest zip (all-the-cities package, CC BY 4.0)",
+    placeSource: PLACES_PATH
+      ? PLACES_PATH.split(/[\\/]/).pop()
+      : "GeoNames towns of 1,000+ (all-the-cities package, CC BY 4.0)",
+    zips,
+    places: placeTable(PLACES_PATH ? readPlaces(PLACES_PATH) : towns),
+  };
+
+  // One zip (and place) per line keeps git diffs readable between Gazetteer vintages
+  const json = JSON.stringify(output).replace(/\],"/g, '],\n"').replace(/\],\[/g, "],\n[");
+  writeFileSync(OUTPUT_PATH, json + "\n");
+
+  console.log(`Wrote ${output.count} zip centroids (${withPopulation} with population) to:`);
+  console.log(`  ${OUTPUT_PATH}`);
+  console.log(`with ${output.places.length} places from ${output.placeSource}`);
+}
+
+main();
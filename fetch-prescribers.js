@@ -6,22 +6,53 @@
  * Usage:
  *   node fetch-prescribers.js              # Full fetch + geocode
  *   node fetch-prescribers.js --enrich     # Also enrich via Google Places
+ *   node fetch-prescribers.js --npi        # Validate NPIs against a local NPPES file
  *   node fetch-prescribers.js --dry-run    # Preview without writing file
+ *   node fetch-prescribers.js --full       # Rebuild every record (ignore previous output)
+ *   node fetch-prescribers.js --no-cache   # Bypass the on-disk geocode cache
+ *   node fetch-prescribers.js --offline    # Geocode from local zip/address data only
+ *   node fetch-prescribers.js --restart    # Discard the checkpoint of an interrupted run
+ *   node fetch-prescribers.js --no-dedupe  # Keep duplicate contacts as separate records
  */
 
 import "dotenv/config";
-import { writeFileSync, existsSync, readFileSync } from "fs";
+import { writeFileSync, existsSync, readFileSync, unlinkSync } from "fs";
 import { dirname, join } from "path";
 import { fileURLToPath } from "url";
+import { auditPrescribers, printAuditSummary } from "./lib/audit.js";
+import { dedupePrescribers, printDedupeSummary } from "./lib/dedupe.js";
+import { fullerOrganization, normalizePhone, normalizePrescriber } from "./lib/normalize.js";
+import { createAcClient } from "./lib/activecampaign.js";
+import { mapConcurrent } from "./lib/retry.js";
+import { diffSnapshots, summarizeDiff, formatDiffMarkdown } from "./lib/diff.js";
+import { SCHEMA_VERSION, toSchemaRecord, validateOutput } from "./lib/schema.js";
+import { isValidNpi, loadNppesRecords, applyNppes } from "./lib/npi.js";
+import {
+  PRECISION_LEVELS,
+  coarsest,
+  normalizeAddressKey,
+  buildProviders,
+  createGeocoderChain,
+} from "./lib/geocoders.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const OUTPUT_PATH = join(__dirname, "data", "prescribers.json");
 const PUBLIC_OUTPUT = join(__dirname, "public", "prescribers.json");
+const GEOCODE_CACHE_PATH = join(__dirname, "data", "geocode-cache.json");
+const AUDIT_PATH = join(__dirname, "data", "address-audit.json");
+const MERGE_REPORT_PATH = join(__dirname, "data", "merge-report.json");
+const CHECKPOINT_PATH = join(__dirname, "data", "fetch-checkpoint.json");
+const CHANGES_PATH = join(__dirname, "data", "CHANGES.md");
 
 const AC_BASE_URL = process.env.ACTIVECAMPAIGN_URL;
 const AC_API_KEY = process.env.ACTIVECAMPAIGN_API_KEY;
 const GOOGLE_KEY = process.env.GOOGLE_PLACES_API_KEY;
-const GEOCODER = process.env.GEOCODER || "nominatim";
+const CONCURRENCY = Math.max(1, parseInt(process.env.AC_CONCURRENCY || "4", 10));
+const GEOCODER = process.env.GEOCODER || "census,nominatim,offline";
+const OFFLINE_ADDRESSES = process.env.OFFLINE_ADDRESSES || null;
+const ZIP_CENTROIDS_PATH = join(__dirname, "public", "zip-centroids.json");
+const NPPES_FILE =
+  process.env.NPPES_FILE || join(__dirname, "data", "nppes", "npidata.csv");
 
 const PRESCRIBER_TAG_ID = "45"; // "Doctor - Referring Doctor"
 const BATCH_SIZE = 100;
@@ -45,51 +76,51 @@ const FIELD_MAP = {
 
 const flags = new Set(process.argv.slice(2));
 const ENRICH = flags.has("--enrich");
+const NPI = flags.has("--npi");
 const DRY_RUN = flags.has("--dry-run");
+const FULL = flags.has("--full");
+const USE_CACHE = !flags.has("--no-cache");
+const OFFLINE = flags.has("--offline");
+const RESTART = flags.has("--restart");
+const DEDUPE = !flags.has("--no-dedupe");
 
 // ---------------------------------------------------------------------------
 // ActiveCampaign API
 // ---------------------------------------------------------------------------
 
-async function acFetch(path, params = {}) {
-  const url = new URL(`/api/3/${path}`, `https://${AC_BASE_URL}`);
-  for (const [k, v] of Object.entries(params)) {
-    if (v != null && v !== "") url.searchParams.set(k, v);
-  }
-  const res = await fetch(url.toString(), {
-    headers: { "Api-Token": AC_API_KEY },
-  });
-  if (!res.ok) {
-    const body = await res.text();
-    throw new Error(`AC API ${res.status}: ${body}`);
-  }
-  return res.json();
-}
+let ac = null;
 
-async function fetchAllPrescribers() {
-  let offset = 0;
-  const all = [];
+/**
+ * Page through every tagged contact. Each page is recorded in the
+ * checkpoint, so a resumed run continues from the last offset it reached.
+ */
+async function fetchAllPrescribers(checkpoint) {
+  const all = checkpoint.contacts;
   console.log("Fetching prescribers from ActiveCampaign (tag 45)...");
+  if (all.length > 0) {
+    console.log(`  Resuming from offset ${checkpoint.offset} (${all.length} already listed)`);
+  }
 
-  while (true) {
-    const data = await acFetch("contacts", {
+  while (!checkpoint.listed) {
+    const data = await ac.get("contacts", {
       tagid: PRESCRIBER_TAG_ID,
       limit: BATCH_SIZE,
-      offset,
+      offset: checkpoint.offset,
     });
     const contacts = data.contacts || [];
     all.push(...contacts);
     const total = parseInt(data.meta?.total || "0", 10);
     console.log(`  Fetched ${all.length} / ${total}`);
-    if (all.length >= total || contacts.length === 0) break;
-    offset += BATCH_SIZE;
+    checkpoint.offset += BATCH_SIZE;
+    checkpoint.listed = all.length >= total || contacts.length === 0;
+    saveCheckpoint(checkpoint);
   }
 
   return all;
 }
 
 async function fetchFieldValues(contactId) {
-  const data = await acFetch(`contacts/${contactId}/fieldValues`);
+  const data = await ac.get(`contacts/${contactId}/fieldValues`);
   const fields = {};
   for (const fv of data.fieldValues || []) {
     const name = FIELD_MAP[fv.field];
@@ -104,50 +135,55 @@ async function fetchFieldValues(contactId) {
 // Geocoding
 // ---------------------------------------------------------------------------
 
-let geocodeCount = 0;
-
-async function geocodeNominatim(address) {
-  // Respect Nominatim rate limit (1 req/sec)
-  if (geocodeCount > 0) await sleep(1100);
-  geocodeCount++;
-
-  const url = new URL("https://nominatim.openstreetmap.org/search");
-  url.searchParams.set("q", address);
-  url.searchParams.set("format", "json");
-  url.searchParams.set("limit", "1");
-  url.searchParams.set("countrycodes", "us");
-
-  const res = await fetch(url.toString(), {
-    headers: { "User-Agent": "MyEyes-PrescriberMap/1.0" },
-  });
-  if (!res.ok) return null;
-  const results = await res.json();
-  if (results.length === 0) return null;
-  return {
-    lat: parseFloat(results[0].lat),
-    lng: parseFloat(results[0].lon),
-    source: "nominatim",
-  };
+// Provider chain from GEOCODER (e.g. "census,nominatim,offline"); see
+// lib/geocoders.js. --offline swaps in the local zip/address provider only.
+let geocoder = null;
+
+async function geocode(address) {
+  return geocoder.geocode(address);
 }
 
-async function geocodeGoogle(address) {
-  const url = new URL("https://maps.googleapis.com/maps/api/geocode/json");
-  url.searchParams.set("address", address);
-  url.searchParams.set("key", GOOGLE_KEY);
+// ---------------------------------------------------------------------------
+// Geocode cache (persisted in data/geocode-cache.json)
+// ---------------------------------------------------------------------------
+
+// Keys are normalized addresses, or "zip:NNNNN" for the zip-only fallback.
+// Only successful lookups are cached so failed addresses get retried.
+// Entries from before precision tracking are treated as misses.
+let geocodeCache = {};
+let cacheHits = 0;
 
-  const res = await fetch(url.toString());
-  if (!res.ok) return null;
-  const data = await res.json();
-  if (data.status !== "OK" || !data.results?.length) return null;
-  const loc = data.results[0].geometry.location;
-  return { lat: loc.lat, lng: loc.lng, source: "google" };
+function loadGeocodeCache() {
+  if (!USE_CACHE || !existsSync(GEOCODE_CACHE_PATH)) return;
+  try {
+    geocodeCache = JSON.parse(readFileSync(GEOCODE_CACHE_PATH, "utf8"));
+  } catch (e) {
+    console.warn(`  Ignoring unreadable geocode cache: ${e.message}`);
+    geocodeCache = {};
+  }
 }
 
-async function geocode(address) {
-  if (GEOCODER === "google" && GOOGLE_KEY) {
-    return geocodeGoogle(address);
+function saveGeocodeCache() {
+  if (!USE_CACHE) return;
+  writeFileSync(GEOCODE_CACHE_PATH, JSON.stringify(geocodeCache, null, 2));
+}
+
+async function cachedGeocode(key, query) {
+  if (USE_CACHE && geocodeCache[key]?.precision) {
+    cacheHits++;
+    return geocodeCache[key];
+  }
+  const geo = await geocode(query);
+  // Don't cache a fallback answer given while a better provider was down
+  if (geo && !geo.degraded) {
+    geocodeCache[key] = {
+      lat: geo.lat,
+      lng: geo.lng,
+      source: geo.source,
+      precision: geo.precision,
+    };
   }
-  return geocodeNominatim(address);
+  return geo;
 }
 
 // ---------------------------------------------------------------------------
@@ -185,6 +221,42 @@ async function enrichWithGoogle(prescriber) {
   return { healthSystem: null, verified: false };
 }
 
+// ---------------------------------------------------------------------------
+// NPI Registry enrichment (optional, from a local NPPES extract)
+// ---------------------------------------------------------------------------
+
+async function enrichFromNppes(prescribers) {
+  const npis = new Set(
+    prescribers.map((p) => p.npi?.trim()).filter((npi) => isValidNpi(npi))
+  );
+  console.log(`\nCross-referencing ${npis.size} valid NPIs against ${NPPES_FILE}...`);
+  const records = await loadNppesRecords(NPPES_FILE, npis);
+
+  const counts = {};
+  const mismatched = { address: 0, phone: 0 };
+  let filledSpecialty = 0;
+  let filledPhone = 0;
+  for (const p of prescribers) {
+    const hadSpecialty = !!p.specialty;
+    const hadPhone = !!p.phone;
+    p.nppes = applyNppes(p, records.get(p.npi?.trim()));
+    if (!p.nppes) continue;
+    counts[p.nppes.status] = (counts[p.nppes.status] || 0) + 1;
+    for (const field of p.nppes.mismatches || []) mismatched[field]++;
+    if (!hadSpecialty && p.specialty) filledSpecialty++;
+    if (!hadPhone && p.phone) {
+      Object.assign(p, normalizePhone(p.phone));
+      filledPhone++;
+    }
+  }
+
+  console.log(
+    `  NPI status: ${Object.entries(counts).map(([k, v]) => `${k} ${v}`).join(", ")}`
+  );
+  console.log(`  Practice differs from the registry: ${mismatched.address} addresses, ${mismatched.phone} phones`);
+  console.log(`  Filled in ${filledSpecialty} specialties and ${filledPhone} phones`);
+}
+
 // ---------------------------------------------------------------------------
 // Build prescriber record
 // ---------------------------------------------------------------------------
@@ -212,19 +284,21 @@ async function buildPrescriber(contact, fields) {
   const fullAddress = buildAddress(fields);
   let geo = null;
   if (fullAddress) {
-    geo = await geocode(fullAddress);
+    geo = await cachedGeocode(normalizeAddressKey(fullAddress), fullAddress);
     if (!geo && fields.zip) {
-      // Fallback: geocode just the zip
-      geo = await geocode(`${fields.zip}, USA`);
+      // Fallback: geocode just the zip — never better than a zip centroid
+      geo = await cachedGeocode(`zip:${fields.zip}`, `${fields.zip}, USA`);
+      if (geo) geo = { ...geo, precision: coarsest(geo.precision, "zip") };
     }
   }
 
   const prescriber = {
     id: contact.id,
+    udate: contact.udate || null,
     name,
     email: fields.doctorEmail || contact.email || null,
     phone: contact.phone || null,
-    organization: contact.orgname || fields.practiceName || null,
+    organization: fullerOrganization(contact.orgname, fields.practiceName),
     specialty: fields.specialty || fields.prescriberType || null,
     practiceType: fields.practiceType || null,
     npi: fields.npi || null,
@@ -238,8 +312,11 @@ async function buildPrescriber(contact, fields) {
     lat: geo?.lat || null,
     lng: geo?.lng || null,
     geoSource: geo?.source || null,
+    geoPrecision: geo?.precision || "none",
     healthSystem: null,
+    googleAddress: null,
     verified: false,
+    nppes: null,
   };
 
   // Optional Google Places enrichment
@@ -247,22 +324,102 @@ async function buildPrescriber(contact, fields) {
     const enrichment = await enrichWithGoogle(prescriber);
     prescriber.healthSystem = enrichment.healthSystem;
     prescriber.verified = enrichment.verified;
-    if (enrichment.googleAddress) {
-      prescriber.googleAddress = enrichment.googleAddress;
-    }
+    prescriber.googleAddress = enrichment.googleAddress || null;
   }
 
   return prescriber;
 }
 
 // ---------------------------------------------------------------------------
-// Main
+// Incremental refresh
 // ---------------------------------------------------------------------------
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+/**
+ * Load the previous output (or null). Records whose `udate` still matches
+ * the AC contact are reused as-is instead of being rebuilt (see
+ * isReusable), and the new output is diffed against it.
+ */
+function loadPreviousOutput() {
+  if (!existsSync(OUTPUT_PATH)) return null;
+  try {
+    return JSON.parse(readFileSync(OUTPUT_PATH, "utf8"));
+  } catch (e) {
+    console.warn(`  Ignoring unreadable previous output: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Whether a previous record can stand in for its unchanged contact. An
+ * address that didn't geocode last time is tried again, and so is Google
+ * enrichment when this run asks for it and the record has none.
+ */
+function isReusable(prev, contact) {
+  if (!prev?.udate || prev.udate !== contact.udate) return false;
+  if (prev.address?.full && (prev.lat == null || prev.lng == null)) return false;
+  if (ENRICH && !prev.verified && !prev.googleAddress) return false;
+  return true;
 }
 
+// ---------------------------------------------------------------------------
+// Checkpoint (resume an interrupted run)
+// ---------------------------------------------------------------------------
+
+// A checkpoint older than this is thrown away: the contact list it holds
+// no longer matches ActiveCampaign closely enough to resume from.
+const CHECKPOINT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// The flags that change how records are built. Resuming with different ones
+// would mix records built both ways.
+const RUN_FLAGS = { full: FULL, enrich: ENRICH, npi: NPI };
+
+// Holds the contact list fetched so far and every record already built.
+// Written as the run progresses and deleted once it finishes.
+function loadCheckpoint() {
+  const fresh = {
+    startedAt: new Date().toISOString(),
+    flags: RUN_FLAGS,
+    offset: 0,
+    listed: false,
+    contacts: [],
+    done: {},
+  };
+  if (RESTART || !existsSync(CHECKPOINT_PATH)) return fresh;
+  try {
+    const checkpoint = JSON.parse(readFileSync(CHECKPOINT_PATH, "utf8"));
+    const age = Date.now() - Date.parse(checkpoint.startedAt);
+    if (!(age <= CHECKPOINT_MAX_AGE_MS)) {
+      console.warn(`  Discarding checkpoint from ${checkpoint.startedAt}: older than 24 hours`);
+      return fresh;
+    }
+    const changed = Object.keys(RUN_FLAGS).filter((f) => checkpoint.flags?.[f] !== RUN_FLAGS[f]);
+    if (changed.length) {
+      const was = changed.map((f) => `--${f} ${checkpoint.flags?.[f] ? "on" : "off"}`).join(", ");
+      console.warn(`  Discarding checkpoint: it was started with ${was}`);
+      return fresh;
+    }
+    console.log(
+      `Resuming run started ${checkpoint.startedAt} (${Object.keys(checkpoint.done).length} records done)`
+    );
+    return checkpoint;
+  } catch (e) {
+    console.warn(`  Ignoring unreadable checkpoint: ${e.message}`);
+    return fresh;
+  }
+}
+
+function saveCheckpoint(checkpoint) {
+  writeFileSync(CHECKPOINT_PATH, JSON.stringify(checkpoint));
+}
+
+function clearCheckpoint() {
+  if (existsSync(CHECKPOINT_PATH)) unlinkSync(CHECKPOINT_PATH);
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
 async function main() {
   if (!AC_BASE_URL || !AC_API_KEY) {
     console.error(
@@ -271,38 +428,99 @@ async function main() {
     process.exit(1);
   }
 
-  console.log(`Geocoder: ${GEOCODER}`);
+  ac = createAcClient({ baseUrl: AC_BASE_URL, apiKey: AC_API_KEY });
+  geocoder = createGeocoderChain(
+    buildProviders(OFFLINE ? "offline" : GEOCODER, {
+      googleKey: GOOGLE_KEY,
+      zipCentroidsPath: ZIP_CENTROIDS_PATH,
+      addressesPath: OFFLINE_ADDRESSES,
+    })
+  );
+
+  console.log(`Geocoder: ${geocoder.providers.map((p) => p.name).join(" → ")}`);
   console.log(`Enrich via Google Places: ${ENRICH}`);
+  console.log(`NPI Registry check: ${NPI}`);
+  console.log(`Mode: ${FULL ? "full rebuild" : "incremental"}`);
+  console.log(`AC concurrency: ${CONCURRENCY}`);
   console.log("");
 
-  const contacts = await fetchAllPrescribers();
-  console.log(`\nFetching field values for ${contacts.length} contacts...`);
+  loadGeocodeCache();
+  const previousOutput = loadPreviousOutput();
+  // A merged record stands for several contacts (see lib/dedupe.js), so
+  // those contacts are always rebuilt
+  const previous = new Map(
+    FULL
+      ? []
+      : (previousOutput?.prescribers || [])
+          .filter((p) => !(p.contactIds?.length > 1))
+          .map((p) => [p.id, p])
+  );
+  const checkpoint = loadCheckpoint();
+
+  const contacts = await fetchAllPrescribers(checkpoint);
+  const todo = contacts.filter((c) => !checkpoint.done[c.id]);
+  console.log(
+    `\nFetching field values for ${todo.length} contacts (${CONCURRENCY} at a time)...`
+  );
 
-  const prescribers = [];
-  let geocoded = 0;
-  let skipped = 0;
+  let processed = contacts.length - todo.length;
+  let reused = 0;
 
-  for (let i = 0; i < contacts.length; i++) {
-    const contact = contacts[i];
-    const fields = await fetchFieldValues(contact.id);
-    const p = await buildPrescriber(contact, fields);
+  const progress = () => {
+    console.log(`  Processed ${processed}/${contacts.length} (unchanged: ${reused})`);
+    // Persist as we go so an interrupted run keeps its lookups and records
+    saveGeocodeCache();
+    saveCheckpoint(checkpoint);
+  };
 
-    if (p.lat && p.lng) {
-      geocoded++;
-    } else if (!p.address.full) {
-      skipped++;
-    }
+  try {
+    await mapConcurrent(todo, CONCURRENCY, async (contact) => {
+      const prev = previous.get(contact.id);
+      let p;
+      if (isReusable(prev, contact)) {
+        p = prev;
+        reused++;
+      } else {
+        const fields = await fetchFieldValues(contact.id);
+        p = await buildPrescriber(contact, fields);
+      }
+
+      checkpoint.done[contact.id] = p;
+      processed++;
+      if (processed % 25 === 0) progress();
+    });
+  } finally {
+    progress();
+  }
 
-    prescribers.push(p);
+  const contactUrl = (id) => `https://${AC_BASE_URL}/app/contacts/${id}`;
+  // Normalized (lib/normalize.js) before anything compares or checks them
+  const built = contacts.map((c) => normalizePrescriber(checkpoint.done[c.id]));
+  const dedupe = DEDUPE ? dedupePrescribers(built, contactUrl) : null;
+  if (dedupe) printDedupeSummary(dedupe.report);
+  const prescribers = (dedupe ? dedupe.prescribers : built).map(toSchemaRecord);
+  const geocoded = prescribers.filter((p) => p.lat && p.lng).length;
+  const skipped = prescribers.filter((p) => !(p.lat && p.lng) && !p.address.full).length;
+  const precisionCounts = Object.fromEntries(PRECISION_LEVELS.map((l) => [l, 0]));
+  for (const p of prescribers) {
+    if (p.geoPrecision) precisionCounts[p.geoPrecision]++;
+  }
 
-    if ((i + 1) % 25 === 0 || i === contacts.length - 1) {
-      console.log(
-        `  Processed ${i + 1}/${contacts.length} (geocoded: ${geocoded}, no address: ${skipped})`
-      );
-    }
+  if (NPI) await enrichFromNppes(prescribers);
+
+  console.log(
+    `\nGeocode precision: ${PRECISION_LEVELS.map((l) => `${l} ${precisionCounts[l]}`).join(", ")}`
+  );
+
+  console.log(`Reused ${reused} unchanged records, ${cacheHits} geocode cache hits`);
+  for (const { name, stats } of geocoder.providers) {
+    console.log(
+      `  ${name}: ${stats.matches} matches from ${stats.requests} requests, ${stats.failures} failures`
+    );
   }
 
   const output = {
+    schemaVersion: SCHEMA_VERSION,
     generated: new Date().toISOString(),
     total: prescribers.length,
     geocoded,
@@ -310,17 +528,57 @@ async function main() {
     prescribers: prescribers.sort((a, b) => a.name.localeCompare(b.name)),
   };
 
+  const audit = auditPrescribers(output.prescribers, contactUrl);
+  printAuditSummary(audit);
+
+  const errors = validateOutput(output);
+  if (errors.length > 0) {
+    console.error(`\nOutput fails schema v${SCHEMA_VERSION} validation (${errors.length} errors):`);
+    errors.slice(0, 20).forEach((e) => console.error(`  ${e}`));
+    if (errors.length > 20) console.error(`  ...and ${errors.length - 20} more`);
+    if (!DRY_RUN) {
+      console.error("Refusing to write invalid output. The checkpoint is kept; fix and re-run.");
+      process.exit(1);
+    }
+  }
+
+  let changes = null;
+  if (previousOutput) {
+    const diff = diffSnapshots(previousOutput.prescribers || [], output.prescribers);
+    changes = formatDiffMarkdown(diff, {
+      prevGenerated: previousOutput.generated,
+      nextGenerated: output.generated,
+    });
+    console.log(`\nChanges since last snapshot: ${summarizeDiff(diff)}`);
+  }
+
   if (DRY_RUN) {
     console.log("\n[DRY RUN] Would write to:", OUTPUT_PATH);
     console.log(`Total: ${output.total}, Geocoded: ${geocoded}, No address: ${skipped}`);
     console.log("Sample:", JSON.stringify(prescribers[0], null, 2));
+    // Nothing was written, so a real run can still resume from here
+    console.log(`Checkpoint kept: ${CHECKPOINT_PATH}`);
   } else {
     writeFileSync(OUTPUT_PATH, JSON.stringify(output, null, 2));
     // Also copy to public/ so the frontend can serve it
     writeFileSync(PUBLIC_OUTPUT, JSON.stringify(output, null, 2));
+    writeFileSync(AUDIT_PATH, JSON.stringify(audit, null, 2));
     console.log(`\nWrote ${prescribers.length} prescribers to:`);
     console.log(`  ${OUTPUT_PATH}`);
     console.log(`  ${PUBLIC_OUTPUT}`);
+    console.log(`Wrote address audit to:`);
+    console.log(`  ${AUDIT_PATH}`);
+    if (dedupe) {
+      writeFileSync(MERGE_REPORT_PATH, JSON.stringify(dedupe.report, null, 2));
+      console.log(`Wrote duplicate merge report to:`);
+      console.log(`  ${MERGE_REPORT_PATH}`);
+    }
+    if (changes) {
+      writeFileSync(CHANGES_PATH, changes);
+      console.log(`Wrote changelog (paste into the commit/PR) to:`);
+      console.log(`  ${CHANGES_PATH}`);
+    }
+    clearCheckpoint();
   }
 
   console.log("\nDone!");
@@ -0,0 +1,63 @@
+/**
+ * Minimal ActiveCampaign v3 API client with rate limiting and retry.
+ *
+ * AC allows 5 requests/second per account; every request made through one
+ * client shares that budget, however many are in flight. 429s are always
+ * retried; 5xx and network failures only for GETs, so a write is never
+ * applied twice.
+ */
+
+import {
+  withRetry,
+  createRateLimiter,
+  RetryableError,
+  isRetryableStatus,
+  parseRetryAfter,
+} from "./retry.js";
+
+export function createAcClient({ baseUrl, apiKey, requestsPerSecond = 5, retries = 5 }) {
+  const waitTurn = createRateLimiter(1000 / requestsPerSecond);
+  // Bare host ("myeyes.activehosted.com") or a full origin, e.g. a local mock
+  const origin = /^https?:\/\//.test(baseUrl) ? baseUrl : `https://${baseUrl}`;
+
+  async function request(path, { method = "GET", params = {}, body } = {}) {
+    const url = new URL(`/api/3/${path}`, origin);
+    for (const [k, v] of Object.entries(params)) {
+      if (v != null && v !== "") url.searchParams.set(k, v);
+    }
+
+    return withRetry(
+      async () => {
+        await waitTurn();
+        const res = await fetch(url.toString(), {
+          method,
+          headers: {
+            "Api-Token": apiKey,
+            ...(body ? { "Content-Type": "application/json" } : {}),
+          },
+          body: body ? JSON.stringify(body) : undefined,
+        });
+        if (!res.ok) {
+          const text = await res.text();
+          const message = `AC API ${res.status}: ${text}`;
+          if (res.status === 429 || (method === "GET" && isRetryableStatus(res.status))) {
+            throw new RetryableError(message, {
+              status: res.status,
+              retryAfterMs: parseRetryAfter(res.headers.get("retry-after")),
+            });
+          }
+          const err = new Error(message);
+          err.status = res.status;
+          throw err;
+        }
+        return res.json();
+      },
+      { retries, label: `AC ${method} ${path}`, idempotent: method === "GET" }
+    );
+  }
+
+  return {
+    request,
+    get: (path, params) => request(path, { params }),
+  };
+}
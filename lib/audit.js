@@ -0,0 +1,159 @@
+/**
+ * Address / contact data-quality checks run on every built prescriber.
+ * Produces a machine-readable report so ops can fix the source contacts
+ * in ActiveCampaign.
+ */
+
+import { normalizeState, stateForZip, isInState } from "./us-states.js";
+import { isValidNpi } from "./npi.js";
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+const PHONE_EXT_RE = /\s*(ext\.?|x)\s*\d+\s*$/i;
+
+// Check codes → short description (also the order used in the summary)
+export const AUDIT_CHECKS = {
+  "unknown-state": "State is missing or not a US state",
+  "zip-state-mismatch": "Zip prefix belongs to a different state",
+  "malformed-zip": "Zip is not 5 digits (or ZIP+4)",
+  "outside-state": "Geocoded point falls outside the claimed state",
+  "city-only": "Only located to a city centroid",
+  "not-geocoded": "Has an address but could not be geocoded",
+  "no-address": "No address at all",
+  "missing-npi": "No NPI number",
+  "invalid-npi": "NPI fails the check-digit test",
+  "npi-mismatch": "NPI Registry record does not match this prescriber",
+  "npi-address-mismatch": "Practice address differs from the NPI Registry",
+  "npi-phone-mismatch": "Phone differs from the NPI Registry",
+  "malformed-phone": "Phone is not a 10-digit US number",
+  "malformed-email": "Email address is malformed",
+};
+
+function digits(str) {
+  return String(str).replace(/\D/g, "");
+}
+
+/** Run every check on one prescriber; returns a list of { code, message }. */
+export function auditPrescriber(p) {
+  const issues = [];
+  const add = (code, detail) =>
+    issues.push({
+      code,
+      message: detail ? `${AUDIT_CHECKS[code]} (${detail})` : AUDIT_CHECKS[code],
+    });
+
+  const addr = p.address || {};
+  const state = normalizeState(addr.state);
+  const geocoded = p.lat != null && p.lng != null;
+
+  if (!addr.full) {
+    add("no-address");
+  } else {
+    if (!state) add("unknown-state", addr.state || "blank");
+
+    if (addr.zip) {
+      const zipState = stateForZip(addr.zip);
+      if (!/^\d{5}(-\d{4})?$/.test(addr.zip.trim())) {
+        // Spreadsheet imports often drop the leading zero of New England zips
+        add(
+          "malformed-zip",
+          /^\d{4}$/.test(addr.zip.trim())
+            ? `${addr.zip} — missing leading zero?`
+            : addr.zip
+        );
+      } else if (state && zipState && zipState !== state) {
+        add("zip-state-mismatch", `${addr.zip} is ${zipState}, address says ${state}`);
+      }
+    }
+
+    if (!geocoded) {
+      add("not-geocoded");
+    } else {
+      if (state && isInState(state, p.lat, p.lng) === false) {
+        add("outside-state", `${p.lat.toFixed(4)}, ${p.lng.toFixed(4)} is not in ${state}`);
+      }
+      // Records from before precision tracking: infer from the address
+      const cityOnly = p.geoPrecision
+        ? p.geoPrecision === "city"
+        : !addr.street && !addr.zip && addr.city;
+      if (cityOnly) add("city-only", addr.city || addr.full);
+    }
+  }
+
+  if (!p.npi) {
+    add("missing-npi");
+  } else if (!isValidNpi(p.npi)) {
+    add("invalid-npi", p.npi);
+  } else if (p.nppes?.status === "not-found") {
+    add("npi-mismatch", `${p.npi} not in NPPES`);
+  } else if (p.nppes?.status === "name-mismatch") {
+    add("npi-mismatch", `${p.npi} is ${p.nppes.name}`);
+  }
+  if (p.nppes?.mismatches?.includes("address")) {
+    add("npi-address-mismatch", `registry has ${p.nppes.practiceAddress?.full || "another address"}`);
+  }
+  if (p.nppes?.mismatches?.includes("phone")) {
+    add("npi-phone-mismatch", `registry has ${p.nppes.phone}`);
+  }
+
+  if (p.phone) {
+    const d = digits(p.phone.replace(PHONE_EXT_RE, ""));
+    if (!(d.length === 10 || (d.length === 11 && d[0] === "1"))) {
+      add("malformed-phone", p.phone);
+    }
+  }
+
+  if (p.email && !EMAIL_RE.test(p.email.trim())) {
+    add("malformed-email", p.email);
+  }
+
+  return issues;
+}
+
+/**
+ * Audit a full prescriber list. `contactUrl` builds a link back to the
+ * AC contact for each flagged record.
+ */
+export function auditPrescribers(prescribers, contactUrl = () => null) {
+  const counts = Object.fromEntries(Object.keys(AUDIT_CHECKS).map((c) => [c, 0]));
+  const records = [];
+
+  for (const p of prescribers) {
+    const issues = auditPrescriber(p);
+    if (issues.length === 0) continue;
+    for (const issue of issues) counts[issue.code]++;
+    records.push({
+      id: p.id,
+      name: p.name,
+      address: p.address?.full || null,
+      contactUrl: contactUrl(p.id),
+      issues,
+    });
+  }
+
+  return {
+    generated: new Date().toISOString(),
+    total: prescribers.length,
+    flagged: records.length,
+    counts,
+    records,
+  };
+}
+
+/** Print a short per-check summary with a few examples of each. */
+export function printAuditSummary(report, examples = 3) {
+  console.log(
+    `\nAddress audit: ${report.flagged} of ${report.total} records flagged`
+  );
+  for (const [code, description] of Object.entries(AUDIT_CHECKS)) {
+    const n = report.counts[code];
+    if (!n) continue;
+    console.log(`  ${String(n).padStart(4)}  ${code} — ${description}`);
+    report.records
+      .filter((r) => r.issues.some((i) => i.code === code))
+      .slice(0, examples)
+      .forEach((r) => {
+        const issue = r.issues.find((i) => i.code === code);
+        console.log(`          ${r.name} [${r.id}]: ${issue.message}`);
+      });
+  }
+}
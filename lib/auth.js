@@ -0,0 +1,199 @@
+/**
+ * Authentication for server mode: scrypt-hashed per-user passwords kept in
+ * a local JSON file, and stateless HMAC-signed session cookies.
+ *
+ * Users file (USERS_FILE, default data/users.json):
+ *   { "users": { "alice": { "name": "Alice", "hash": "scrypt$…", "created": "…" } } }
+ * Manage it with `npm run users` (manage-users.js).
+ */
+
+import {
+  scryptSync,
+  randomBytes,
+  timingSafeEqual,
+  createHmac,
+} from "crypto";
+import { existsSync, readFileSync, writeFileSync, statSync } from "fs";
+
+// scrypt cost parameters (N=2^15 takes ~50 ms per check)
+const SCRYPT_N = 32768;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LEN = 32;
+
+export const SESSION_COOKIE = "myeyes_session";
+
+// ---------------------------------------------------------------------------
+// Passwords
+// ---------------------------------------------------------------------------
+
+export function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = scryptSync(password, salt, KEY_LEN, {
+    N: SCRYPT_N,
+    r: SCRYPT_R,
+    p: SCRYPT_P,
+    maxmem: 64 * 1024 * 1024,
+  });
+  return [
+    "scrypt",
+    SCRYPT_N,
+    SCRYPT_R,
+    SCRYPT_P,
+    salt.toString("base64"),
+    hash.toString("base64"),
+  ].join("$");
+}
+
+export function verifyPassword(password, stored) {
+  const [algo, N, r, p, salt, hash] = String(stored || "").split("$");
+  if (algo !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = scryptSync(password, Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+    maxmem: 64 * 1024 * 1024,
+  });
+  return timingSafeEqual(actual, expected);
+}
+
+// A hash to check against when the username doesn't exist, so unknown
+// users take as long to reject as wrong passwords
+const DUMMY_HASH = hashPassword(randomBytes(16).toString("hex"));
+
+// ---------------------------------------------------------------------------
+// Users file
+// ---------------------------------------------------------------------------
+
+export function loadUsers(path) {
+  if (!existsSync(path)) return {};
+  return JSON.parse(readFileSync(path, "utf8")).users || {};
+}
+
+export function saveUsers(path, users) {
+  writeFileSync(path, JSON.stringify({ users }, null, 2) + "\n", { mode: 0o600 });
+}
+
+// Users file contents, re-read only when the file changes
+let usersCache = { path: null, mtimeMs: 0, users: {} };
+
+/**
+ * Whether a session's user still exists and isn't disabled, so removing
+ * or disabling someone ends their sessions right away.
+ */
+export function isActiveUser(path, username) {
+  if (!existsSync(path)) return false;
+  const { mtimeMs } = statSync(path);
+  if (usersCache.path !== path || usersCache.mtimeMs !== mtimeMs) {
+    usersCache = { path, mtimeMs, users: loadUsers(path) };
+  }
+  const user = usersCache.users[username];
+  return !!user && !user.disabled;
+}
+
+/**
+ * Check a username/password against the users file (re-read on every
+ * attempt so new users work without a restart). Returns the user or null.
+ */
+export function authenticate(path, username, password) {
+  const key = String(username || "").trim().toLowerCase();
+  const user = loadUsers(path)[key];
+  const ok = verifyPassword(String(password || ""), user?.hash || DUMMY_HASH);
+  return ok && user && !user.disabled ? { username: key, name: user.name || key } : null;
+}
+
+// ---------------------------------------------------------------------------
+// Sessions
+// ---------------------------------------------------------------------------
+
+function sign(payload, secret) {
+  return createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+/** Create a signed session token valid for `ttlMs`. */
+export function createSession(user, secret, ttlMs) {
+  const payload = Buffer.from(
+    JSON.stringify({ u: user.username, n: user.name, exp: Date.now() + ttlMs })
+  ).toString("base64url");
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/** Verify a session token; returns { username, name, expiresAt } or null. */
+export function readSession(token, secret) {
+  const [payload, sig] = String(token || "").split(".");
+  if (!payload || !sig) return null;
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(sig);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  try {
+    const { u, n, exp } = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (!u || !exp || exp < Date.now()) return null;
+    return { username: u, name: n || u, expiresAt: new Date(exp).toISOString() };
+  } catch {
+    return null;
+  }
+}
+
+export function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i === -1) continue;
+    // Another app's malformed cookie on the domain (e.g. "%") is skipped
+    try {
+      cookies[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch {
+      continue;
+    }
+  }
+  return cookies;
+}
+
+export function sessionCookie(token, { maxAgeSecs, secure }) {
+  return [
+    `${SESSION_COOKIE}=${token}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Lax",
+    `Max-Age=${maxAgeSecs}`,
+    secure ? "Secure" : null,
+  ]
+    .filter(Boolean)
+    .join("; ");
+}
+
+// ---------------------------------------------------------------------------
+// Login throttling
+// ---------------------------------------------------------------------------
+
+/**
+ * Track failed logins per key (client IP) and lock out after `max`
+ * failures within `windowMs`.
+ */
+export function createLoginThrottle({ max = 5, windowMs = 15 * 60 * 1000 } = {}) {
+  const failures = new Map();
+  const recent = (key) =>
+    (failures.get(key) || []).filter((t) => t > Date.now() - windowMs);
+
+  // Drop keys whose failures have all expired, so the map doesn't grow
+  // with every address that ever mistyped a password
+  const prune = () => {
+    for (const key of failures.keys()) {
+      if (recent(key).length === 0) failures.delete(key);
+    }
+  };
+
+  return {
+    isLocked: (key) => recent(key).length >= max,
+    fail(key) {
+      prune();
+      failures.set(key, [...recent(key), Date.now()]);
+    },
+    reset(key) {
+      failures.delete(key);
+    },
+  };
+}
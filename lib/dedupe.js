@@ -0,0 +1,303 @@
+/**
+ * Duplicate-contact detection for the fetch pipeline. Some doctors are in
+ * ActiveCampaign more than once (under a second email, or a lowercase
+ * copy of the name), which would otherwise show as separate pins. Likely
+ * duplicates are clustered by NPI, name and address, merged into one
+ * record, and listed in a report for review.
+ */
+
+import { haversine } from "./geo.js";
+import { isValidNpi } from "./npi.js";
+import { normalizeAddressKey } from "./geocoders.js";
+
+// The same name this close together is the same practice
+const SAME_PLACE_MILES = 0.25;
+
+// Credentials and suffixes that aren't part of the name when they follow it
+const NAME_NOISE = new Set([
+  "md", "od", "do", "mbbs", "phd", "mph", "facs", "faao", "np", "pa", "rn", "jr", "sr", "ii", "iii", "iv",
+]);
+
+// Fields compared across a group, to list what the merge dropped
+const REVIEW_FIELDS = ["name", "email", "phone", "organization", "npi"];
+
+// ---------------------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------------------
+
+// { first, last } in lowercase without accents, a "Dr" title or
+// credentials, or null for a single-word name. Credentials only count
+// after a comma or after the surname, so "Minh Do" keeps its surname.
+function nameParts(name) {
+  const words = String(name || "")
+    .split(",")[0]
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f'’.]/g, "")
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+  if (words[0] === "dr") words.shift();
+  while (words.length > 2 && NAME_NOISE.has(words.at(-1)) && words.at(-2).length > 1) words.pop();
+  return words.length >= 2 ? { first: words[0], last: words[words.length - 1] } : null;
+}
+
+// Loose enough for one NPI's records: "J Smith" or "Amy Z Martino" for
+// "Amy Martinez" still count, "Inas Aboobakar" for "Elyse McGlumphy" doesn't
+function namesCompatible(a, b) {
+  if (!a || !b) return false;
+  if (a.last === b.last) return a.first[0] === b.first[0];
+  return a.first === b.first && a.last.slice(0, 4) === b.last.slice(0, 4);
+}
+
+function hasCoords(p) {
+  return p.lat != null && p.lng != null;
+}
+
+/**
+ * Whether two records are at the same place: { miles } (null when matched
+ * by address text), or null when they aren't or it can't be told. Pins at
+ * a city centroid say nothing about the practice.
+ */
+function samePlace(a, b) {
+  if (hasCoords(a) && hasCoords(b) && a.geoPrecision !== "city" && b.geoPrecision !== "city") {
+    const miles = haversine(a.lat, a.lng, b.lat, b.lng);
+    return miles <= SAME_PLACE_MILES ? { miles } : null;
+  }
+  if (a.address?.full && b.address?.full) {
+    return normalizeAddressKey(a.address.full) === normalizeAddressKey(b.address.full) ? { miles: null } : null;
+  }
+  return null;
+}
+
+function pairs(indices, fn) {
+  for (let i = 0; i < indices.length; i++) {
+    for (let j = i + 1; j < indices.length; j++) fn(indices[i], indices[j]);
+  }
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  items.forEach((item, i) => {
+    const key = keyOf(item);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  });
+  return [...groups.values()].filter((g) => g.length > 1);
+}
+
+/**
+ * Cluster likely duplicates. Records are linked when they share a valid
+ * NPI and their names are compatible, or have the same first and last
+ * name at the same place. A cluster never holds two different valid
+ * NPIs. Returns { groups: [{ members, reasons }], review: [{ members,
+ * reason }] }, where review lists look-alikes that were left unmerged.
+ */
+export function findDuplicates(prescribers) {
+  const names = prescribers.map((p) => nameParts(p.name));
+  const parent = prescribers.map((_, i) => i);
+  const npis = prescribers.map((p) => new Set(isValidNpi(p.npi?.trim()) ? [p.npi.trim()] : []));
+  const reasons = [];
+  const review = [];
+
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  const flag = (i, j, reason) => review.push({ i, j, reason });
+  const link = (i, j, reason) => {
+    const a = root(i);
+    const b = root(j);
+    if (a === b) return true;
+    if (npis[a].size && npis[b].size && ![...npis[a]].some((n) => npis[b].has(n))) return false;
+    parent[b] = a;
+    for (const n of npis[b]) npis[a].add(n);
+    reasons.push({ ids: [prescribers[i].id, prescribers[j].id], reason });
+    return true;
+  };
+
+  for (const group of groupBy(prescribers, (p) => (isValidNpi(p.npi?.trim()) ? p.npi.trim() : null))) {
+    pairs(group, (i, j) => {
+      if (namesCompatible(names[i], names[j])) link(i, j, `same NPI ${prescribers[i].npi.trim()}`);
+      else flag(i, j, "same NPI, different names");
+    });
+  }
+
+  for (const group of groupBy(names, (n) => n && `${n.first} ${n.last}`)) {
+    pairs(group, (i, j) => {
+      if (root(i) === root(j)) return;
+      const place = samePlace(prescribers[i], prescribers[j]);
+      if (!place) {
+        // Both pinned somewhere apart is two doctors (or two offices)
+        const comparable = hasCoords(prescribers[i]) && hasCoords(prescribers[j]);
+        if (!comparable) flag(i, j, "same name, not enough address to compare");
+        return;
+      }
+      const where = place.miles == null ? "same address" : `${place.miles.toFixed(2)} mi apart`;
+      if (!link(i, j, `same name, ${where}`)) flag(i, j, `same name, ${where}, different NPIs`);
+    });
+  }
+
+  const clusters = new Map();
+  prescribers.forEach((p, i) => {
+    const r = root(i);
+    if (!clusters.has(r)) clusters.set(r, []);
+    clusters.get(r).push(p);
+  });
+  const groups = [...clusters.values()]
+    .filter((members) => members.length > 1)
+    .map((members) => {
+      const ids = new Set(members.map((p) => p.id));
+      return { members, reasons: reasons.filter((r) => ids.has(r.ids[0])) };
+    });
+
+  // One look-alike per pair of clusters, and none that got merged anyway
+  const seen = new Set();
+  const lookAlikes = review.filter(({ i, j }) => {
+    const key = [root(i), root(j)].sort((a, b) => a - b).join(" ");
+    if (root(i) === root(j) || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return {
+    groups,
+    review: lookAlikes.map(({ i, j, reason }) => ({ members: [prescribers[i], prescribers[j]], reason })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Merging
+// ---------------------------------------------------------------------------
+
+// Newest first: AC's update date, then the higher (later created) contact id
+function byFreshness(a, b) {
+  return (Date.parse(b.udate) || 0) - (Date.parse(a.udate) || 0) || Number(b.id) - Number(a.id);
+}
+
+/**
+ * One record for a group of duplicates. Contact details come from the
+ * freshest record that has them, the address and pin from the freshest
+ * record that was geocoded. It keeps the oldest contact's id, so links and
+ * shortlists made before the merge still find it, and lists every
+ * contact's id in `contactIds`.
+ */
+export function mergeRecords(members) {
+  const fresh = [...members].sort(byFreshness);
+  const first = (get) => fresh.map(get).find((v) => v != null && v !== "") ?? null;
+  const located = fresh.find(hasCoords) || fresh.find((p) => p.address?.full) || fresh[0];
+  const oldest = [...members].sort((a, b) => Number(a.id) - Number(b.id))[0];
+  // Both phone forms from one contact, so they are the same number
+  const phoned = fresh.find((p) => p.phone) || {};
+
+  return {
+    ...fresh[0],
+    id: oldest.id,
+    contactIds: members.flatMap((p) => p.contactIds || [p.id]).sort((a, b) => Number(a) - Number(b)),
+    email: first((p) => p.email),
+    phone: phoned.phone ?? null,
+    phoneE164: phoned.phoneE164 ?? null,
+    organization: first((p) => p.organization),
+    specialty: first((p) => p.specialty),
+    practiceType: first((p) => p.practiceType),
+    npi: fresh.map((p) => p.npi?.trim()).find(isValidNpi) ?? first((p) => p.npi),
+    address: located.address,
+    lat: located.lat ?? null,
+    lng: located.lng ?? null,
+    geoSource: located.geoSource ?? null,
+    geoPrecision: located.geoPrecision ?? "none",
+    healthSystem: first((p) => p.healthSystem),
+    googleAddress: located.googleAddress ?? null,
+    verified: members.some((p) => p.verified),
+    nppes: first((p) => p.nppes),
+  };
+}
+
+function reportContact(p, contactUrl) {
+  return {
+    id: p.id,
+    name: p.name,
+    email: p.email || null,
+    phone: p.phone || null,
+    npi: p.npi || null,
+    address: p.address?.full || null,
+    udate: p.udate || null,
+    contactUrl: contactUrl(p.id),
+  };
+}
+
+/**
+ * Merge likely duplicates. Returns the deduplicated list (in the input's
+ * order, each group where its first member was) and a report of every
+ * merge and of look-alikes left for a person to check. `contactUrl` builds
+ * a link back to each AC contact.
+ */
+export function dedupePrescribers(prescribers, contactUrl = () => null) {
+  const { groups, review } = findDuplicates(prescribers);
+  const mergedInto = new Map();
+  const merges = groups.map(({ members, reasons }) => {
+    const merged = mergeRecords(members);
+    for (const p of members) mergedInto.set(p, merged);
+
+    const conflicts = {};
+    for (const field of REVIEW_FIELDS) {
+      const values = [...new Set(members.map((p) => p[field]).filter(Boolean))];
+      if (values.length > 1) conflicts[field] = values;
+    }
+    const addresses = [...new Set(members.map((p) => p.address?.full).filter(Boolean))];
+    if (addresses.length > 1) conflicts.address = addresses;
+
+    return {
+      id: merged.id,
+      name: merged.name,
+      contactIds: merged.contactIds,
+      reasons: reasons.map((r) => `${r.ids.join(" + ")}: ${r.reason}`),
+      kept: {
+        email: merged.email,
+        phone: merged.phone,
+        npi: merged.npi,
+        address: merged.address?.full || null,
+      },
+      conflicts,
+      contacts: members.map((p) => reportContact(p, contactUrl)),
+    };
+  });
+
+  const out = [];
+  const placed = new Set();
+  for (const p of prescribers) {
+    const merged = mergedInto.get(p);
+    if (!merged) out.push(p);
+    else if (!placed.has(merged)) {
+      placed.add(merged);
+      out.push(merged);
+    }
+  }
+
+  return {
+    prescribers: out,
+    report: {
+      generated: new Date().toISOString(),
+      total: prescribers.length,
+      merged: merges.length,
+      removed: prescribers.length - out.length,
+      merges,
+      review: review.map(({ members, reason }) => ({
+        reason,
+        contacts: members.map((p) => reportContact(p, contactUrl)),
+      })),
+    },
+  };
+}
+
+/** Print a short summary with a few examples of merges and look-alikes. */
+export function printDedupeSummary(report, examples = 5) {
+  console.log(
+    `\nDuplicates: ${report.total} contacts → ${report.total - report.removed} prescribers (${report.merged} merged groups)`
+  );
+  report.merges.slice(0, examples).forEach((m) => {
+    console.log(`          ${m.name} [${m.contactIds.join(", ")}]: ${m.reasons.join("; ")}`);
+  });
+  if (report.review.length) {
+    console.log(`  ${String(report.review.length).padStart(4)}  look-alikes left unmerged for review`);
+    report.review.slice(0, examples).forEach((r) => {
+      console.log(`          ${r.contacts.map((c) => `${c.name} [${c.id}]`).join(" / ")}: ${r.reason}`);
+    });
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Compare two prescribers.json snapshots and summarize what changed as
+ * Markdown, short enough to paste into a commit message or PR.
+ */
+
+import { haversine } from "./geo.js";
+
+const CONTACT_FIELDS = [
+  "name",
+  "email",
+  "phone",
+  "organization",
+  "specialty",
+  "practiceType",
+  "npi",
+];
+
+// Pins that moved less than this are geocoder noise, not a real move
+const MIN_MOVE_MILES = 0.1;
+
+// Longest list printed per section
+const MAX_ITEMS = 50;
+
+function hasCoords(p) {
+  return p.lat != null && p.lng != null;
+}
+
+export function diffSnapshots(prevPrescribers, nextPrescribers) {
+  const prev = new Map(prevPrescribers.map((p) => [p.id, p]));
+  const next = new Map(nextPrescribers.map((p) => [p.id, p]));
+
+  // Contacts merged into another record since the last snapshot
+  const mergedInto = new Map();
+  for (const p of nextPrescribers) {
+    for (const id of p.contactIds || []) {
+      if (id !== p.id && prev.has(id) && !next.has(id)) mergedInto.set(id, p);
+    }
+  }
+
+  const diff = {
+    added: [],
+    removed: [],
+    merged: [],
+    moved: [],
+    contactChanges: [],
+    newlyUnmapped: [],
+  };
+
+  for (const p of nextPrescribers) {
+    const old = prev.get(p.id);
+    if (!old) {
+      diff.added.push(p);
+      if (p.address?.full && !hasCoords(p)) diff.newlyUnmapped.push(p);
+      continue;
+    }
+
+    const miles =
+      hasCoords(old) && hasCoords(p)
+        ? haversine(old.lat, old.lng, p.lat, p.lng)
+        : null;
+    if ((old.address?.full || null) !== (p.address?.full || null) || miles > MIN_MOVE_MILES) {
+      diff.moved.push({ p, from: old.address?.full || null, to: p.address?.full || null, miles });
+    }
+
+    const changes = CONTACT_FIELDS.filter(
+      (f) => (old[f] || null) !== (p[f] || null)
+    ).map((f) => ({ field: f, from: old[f] || null, to: p[f] || null }));
+    if (changes.length) diff.contactChanges.push({ p, changes });
+
+    if (hasCoords(old) && !hasCoords(p)) diff.newlyUnmapped.push(p);
+  }
+
+  for (const p of prevPrescribers) {
+    if (next.has(p.id)) continue;
+    const into = mergedInto.get(p.id);
+    if (into) diff.merged.push({ p, into });
+    else diff.removed.push(p);
+  }
+
+  return diff;
+}
+
+export function summarizeDiff(diff) {
+  return [
+    `+${diff.added.length} added`,
+    `-${diff.removed.length} removed`,
+    `${diff.merged.length} merged`,
+    `${diff.moved.length} moved`,
+    `${diff.contactChanges.length} contact changes`,
+    `${diff.newlyUnmapped.length} newly unmapped`,
+  ].join(", ");
+}
+
+function who(p) {
+  const where = [p.address?.city, p.address?.state].filter(Boolean).join(", ");
+  return `${p.name} [${p.id}]${where ? ` — ${where}` : ""}`;
+}
+
+function show(value) {
+  return value == null || value === "" ? "_(none)_" : `\`${value}\``;
+}
+
+function section(lines, title, items, render) {
+  if (items.length === 0) return;
+  lines.push("", `### ${title} (${items.length})`, "");
+  items.slice(0, MAX_ITEMS).forEach((item) => lines.push(`- ${render(item)}`));
+  if (items.length > MAX_ITEMS) {
+    lines.push(`- _…and ${items.length - MAX_ITEMS} more_`);
+  }
+}
+
+export function formatDiffMarkdown(diff, { prevGenerated, nextGenerated }) {
+  // First line doubles as a commit subject
+  const lines = [
+    `Refresh prescriber data: ${summarizeDiff(diff)}`,
+    "",
+    `Snapshot ${prevGenerated || "(unknown)"} → ${nextGenerated}`,
+  ];
+
+  section(lines, "Added", diff.added, who);
+  section(lines, "Removed", diff.removed, who);
+  section(lines, "Merged into another record (duplicates)", diff.merged, ({ p, into }) =>
+    `${who(p)} → ${into.name} [${into.id}]`
+  );
+  section(lines, "Address moves", diff.moved, ({ p, from, to, miles }) => {
+    const dist = miles == null ? "" : ` (${miles.toFixed(1)} mi)`;
+    return `${who(p)}: ${show(from)} → ${show(to)}${dist}`;
+  });
+  section(lines, "Contact detail changes", diff.contactChanges, ({ p, changes }) =>
+    `${who(p)}: ${changes.map((c) => `${c.field} ${show(c.from)} → ${show(c.to)}`).join("; ")}`
+  );
+  section(lines, "Newly unmapped (address could not be geocoded)", diff.newlyUnmapped, (p) =>
+    `${who(p)}: ${show(p.address?.full)}`
+  );
+
+  if (lines.length === 3) lines.push("", "No changes.");
+  return lines.join("\n") + "\n";
+}
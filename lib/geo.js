@@ -0,0 +1,13 @@
+/**
+ * Great-circle distance helpers. The implementation lives in
+ * public/js/shared/geo.js so the frontend uses the same code.
+ */
+
+export {
+  haversine,
+  destinationPoint,
+  estimateDrive,
+  estimatedReachMiles,
+  AVERAGE_DRIVE_MPH,
+  ROAD_DETOUR_FACTOR,
+} from "../public/js/shared/geo.js";
@@ -0,0 +1,290 @@
+/**
+ * Pluggable geocoder backends.
+ *
+ * A provider is `{ name, stats, geocode(query) }` where geocode resolves to
+ * `{ lat, lng, source, precision }` or null for "no match", and throws when
+ * the service itself failed. `createProvider` adds per-provider rate
+ * limiting and retry/backoff around a raw lookup; `createGeocoderChain`
+ * tries providers in order until one matches.
+ */
+
+import { existsSync, readFileSync } from "fs";
+import {
+  withRetry,
+  createRateLimiter,
+  RetryableError,
+  isRetryableStatus,
+  parseRetryAfter,
+} from "./retry.js";
+
+const USER_AGENT = "MyEyes-PrescriberMap/1.0";
+
+// How exact a geocoded point is, best first. "street" covers both rooftop
+// and street-level matches; "none" means no coordinates at all.
+export const PRECISION_LEVELS = ["street", "zip", "city", "none"];
+
+export function coarsest(a, b) {
+  return PRECISION_LEVELS.indexOf(a) > PRECISION_LEVELS.indexOf(b) ? a : b;
+}
+
+export function normalizeAddressKey(address) {
+  return address
+    .toLowerCase()
+    .replace(/[.,#]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+async function getJson(url, label, headers = {}) {
+  const res = await fetch(url, { headers });
+  if (isRetryableStatus(res.status)) {
+    throw new RetryableError(`${label} HTTP ${res.status}`, {
+      status: res.status,
+      retryAfterMs: parseRetryAfter(res.headers.get("retry-after")),
+    });
+  }
+  // Other 4xx: the service rejected this query, treat as no match
+  if (!res.ok) return null;
+  return res.json();
+}
+
+/**
+ * Wrap a raw `lookup(query)` with rate limiting (`minIntervalMs` between
+ * requests) and retry/backoff on transient failures.
+ */
+export function createProvider({ name, minIntervalMs = 0, retries = 3, lookup }) {
+  const waitTurn = createRateLimiter(minIntervalMs);
+  const stats = { requests: 0, matches: 0, failures: 0 };
+
+  return {
+    name,
+    stats,
+    async geocode(query) {
+      const result = await withRetry(
+        async () => {
+          await waitTurn();
+          stats.requests++;
+          return lookup(query);
+        },
+        { retries, label: `${name} geocode` }
+      );
+      if (!result) return null;
+      stats.matches++;
+      return { ...result, source: name };
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Online providers
+// ---------------------------------------------------------------------------
+
+function nominatimPrecision(result) {
+  if (result.type === "postcode" || result.addresstype === "postcode") return "zip";
+  // place_rank 26+ is a street, address range or building
+  if (Number(result.place_rank) >= 26) return "street";
+  return "city";
+}
+
+export function nominatimProvider() {
+  return createProvider({
+    name: "nominatim",
+    // Respect Nominatim rate limit (1 req/sec)
+    minIntervalMs: 1100,
+    async lookup(query) {
+      const url = new URL("https://nominatim.openstreetmap.org/search");
+      url.searchParams.set("q", query);
+      url.searchParams.set("format", "json");
+      url.searchParams.set("limit", "1");
+      url.searchParams.set("countrycodes", "us");
+
+      const results = await getJson(url.toString(), "Nominatim", {
+        "User-Agent": USER_AGENT,
+      });
+      if (!results?.length) return null;
+      return {
+        lat: parseFloat(results[0].lat),
+        lng: parseFloat(results[0].lon),
+        precision: nominatimPrecision(results[0]),
+      };
+    },
+  });
+}
+
+function googlePrecision(result) {
+  const types = result.types || [];
+  if (types.includes("postal_code")) return "zip";
+  if (
+    ["ROOFTOP", "RANGE_INTERPOLATED"].includes(result.geometry.location_type) ||
+    types.some((t) => ["street_address", "premise", "subpremise", "route"].includes(t))
+  ) {
+    return "street";
+  }
+  return "city";
+}
+
+export function googleProvider(apiKey) {
+  return createProvider({
+    name: "google",
+    minIntervalMs: 50,
+    async lookup(query) {
+      const url = new URL("https://maps.googleapis.com/maps/api/geocode/json");
+      url.searchParams.set("address", query);
+      url.searchParams.set("key", apiKey);
+
+      const data = await getJson(url.toString(), "Google Geocoding");
+      if (data?.status === "OVER_QUERY_LIMIT") {
+        throw new RetryableError("Google Geocoding OVER_QUERY_LIMIT");
+      }
+      if (data?.status !== "OK" || !data.results?.length) return null;
+      const loc = data.results[0].geometry.location;
+      return {
+        lat: loc.lat,
+        lng: loc.lng,
+        precision: googlePrecision(data.results[0]),
+      };
+    },
+  });
+}
+
+/** US Census Geocoder — free, no key, street addresses only. */
+export function censusProvider() {
+  return createProvider({
+    name: "census",
+    minIntervalMs: 200,
+    async lookup(query) {
+      const url = new URL(
+        "https://geocoding.geo.census.gov/geocoder/locations/onelineaddress"
+      );
+      url.searchParams.set("address", query);
+      url.searchParams.set("benchmark", "Public_AR_Current");
+      url.searchParams.set("format", "json");
+
+      const data = await getJson(url.toString(), "Census Geocoder");
+      const match = data?.result?.addressMatches?.[0];
+      if (!match) return null;
+      return {
+        lat: match.coordinates.y,
+        lng: match.coordinates.x,
+        precision: "street",
+      };
+    },
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Offline providers
+// ---------------------------------------------------------------------------
+
+// A zip at the end of the query ("..., TX, 78130" or "78130, USA")
+const TRAILING_ZIP_RE = /\b(\d{5})(?:-\d{4})?(?:\s*,?\s*(?:USA|US|United States))?\s*$/i;
+
+/**
+ * Fully offline provider. Matches known addresses from a local dataset
+ * (a JSON object of address → [lat, lng] or { lat, lng } — a
+ * geocode-cache.json from another machine works), then falls back to the
+ * zip centroid table built by build-zip-centroids.js.
+ */
+export function offlineProvider({ zipCentroidsPath, addressesPath = null }) {
+  if (!existsSync(zipCentroidsPath)) {
+    throw new Error(`Zip centroid table not found: ${zipCentroidsPath} (run npm run zips)`);
+  }
+  const zips = JSON.parse(readFileSync(zipCentroidsPath, "utf8")).zips || {};
+
+  const addresses = new Map();
+  if (addressesPath) {
+    const raw = JSON.parse(readFileSync(addressesPath, "utf8"));
+    for (const [address, value] of Object.entries(raw)) {
+      const ll = Array.isArray(value) ? value : value && [value.lat, value.lng];
+      if (ll && ll[0] != null && ll[1] != null) {
+        addresses.set(normalizeAddressKey(address), ll);
+      }
+    }
+  }
+
+  return createProvider({
+    name: "offline",
+    retries: 0,
+    async lookup(query) {
+      const known = addresses.get(normalizeAddressKey(query));
+      if (known) return { lat: known[0], lng: known[1], precision: "street" };
+
+      const m = TRAILING_ZIP_RE.exec(query.trim());
+      const ll = m && zips[m[1]];
+      if (!ll) return null;
+      return { lat: ll[0], lng: ll[1], precision: "zip" };
+    },
+  });
+}
+
+/**
+ * Canned results for tests: `results` maps a query (or its normalized
+ * form) to `{ lat, lng, precision }`, or to an Error to throw as if the
+ * service were down. Unknown queries return null.
+ */
+export function stubProvider(results, name = "stub") {
+  return createProvider({
+    name,
+    retries: 0,
+    async lookup(query) {
+      const result = results[query] || results[normalizeAddressKey(query)] || null;
+      if (result instanceof Error) throw result;
+      return result;
+    },
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Chaining
+// ---------------------------------------------------------------------------
+
+/**
+ * Try each provider in order and return the first match. A provider that
+ * is down (retries exhausted) is skipped; results found after such a
+ * failure are flagged `degraded` so callers can avoid caching them.
+ */
+export function createGeocoderChain(providers) {
+  return {
+    providers,
+    async geocode(query) {
+      let degraded = false;
+      for (const provider of providers) {
+        try {
+          const geo = await provider.geocode(query);
+          if (geo) return degraded ? { ...geo, degraded } : geo;
+        } catch (err) {
+          provider.stats.failures++;
+          degraded = true;
+          console.warn(`  ${provider.name} unavailable for "${query}": ${err.message}`);
+        }
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Build providers from a comma-separated list such as
+ * "census,nominatim,offline" (the GEOCODER env var).
+ */
+export function buildProviders(spec, { googleKey, zipCentroidsPath, addressesPath }) {
+  return spec
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => {
+      switch (name) {
+        case "census":
+          return censusProvider();
+        case "nominatim":
+          return nominatimProvider();
+        case "google":
+          if (!googleKey) throw new Error("GEOCODER=google requires GOOGLE_PLACES_API_KEY");
+          return googleProvider(googleKey);
+        case "offline":
+          return offlineProvider({ zipCentroidsPath, addressesPath });
+        default:
+          throw new Error(`Unknown geocoder "${name}" in GEOCODER`);
+      }
+    });
+}
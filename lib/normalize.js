@@ -0,0 +1,252 @@
+/**
+ * Normalization stage for the fetch pipeline. AC values are typed in by
+ * hand ("aaron cohn", "3619452293", "New Jersey", "3226"), so names,
+ * phones and addresses are put in one form before records are
+ * deduplicated, audited and written. Every step is safe to run again on
+ * its own output, as reused records are.
+ */
+
+import { normalizeState, stateForZip } from "./us-states.js";
+
+// ---------------------------------------------------------------------------
+// Names
+// ---------------------------------------------------------------------------
+
+// Credentials and suffixes, kept in capitals when they follow the name
+const CREDENTIALS = new Set([
+  "md", "od", "do", "phd", "mph", "mbbs", "facs", "faao", "np", "pa", "rn", "ii", "iii", "iv",
+]);
+
+// Name particles, kept lowercase in the middle of a name ("Maria de la Cruz")
+const PARTICLES = new Set(["de", "del", "della", "da", "di", "du", "la", "le", "van", "von", "der"]);
+
+function collapse(text) {
+  return String(text).replace(/\s+/g, " ").trim();
+}
+
+const isCredential = (word) => CREDENTIALS.has(word.replace(/[.,]/g, ""));
+
+// Each part of "o'brien" or "piltz-seymour", and the Mc of "mcglumphy"
+function capitalize(word) {
+  return word
+    .replace(/(^|['’-])(\p{L})/gu, (_, sep, letter) => sep + letter.toUpperCase())
+    .replace(/^Mc(\p{L})/u, (_, letter) => "Mc" + letter.toUpperCase());
+}
+
+/**
+ * How many of a name's words are the name itself, before any credentials
+ * typed after it ("jane smith md" → 2). The first two words are always
+ * the name, and so is a word after an initial, so surnames such as Do or
+ * Pa survive ("Minh Do", "Jane A Do").
+ */
+function nameLength(words) {
+  let end = words.length;
+  while (end > 2 && isCredential(words[end - 1]) && words[end - 2].replace(/\./g, "").length > 1) end--;
+  return end;
+}
+
+/**
+ * Capitalize a name typed in all lowercase or all capitals ("aaron cohn",
+ * "JULIA SONG"). Mixed case is left alone, since it was typed on purpose
+ * ("McGlumphy", "deVries"). Credentials after a comma or after the name
+ * stay in capitals ("jane smith, od" → "Jane Smith, OD").
+ */
+export function properCaseName(name) {
+  if (name == null) return null;
+  const text = collapse(name);
+  if (text !== text.toLowerCase() && text !== text.toUpperCase()) return text;
+
+  const comma = text.indexOf(",");
+  const words = (comma === -1 ? text : text.slice(0, comma)).toLowerCase().split(" ").filter(Boolean);
+  const end = nameLength(words);
+  const named = words
+    .map((word, i) => {
+      if (i >= end) return word.toUpperCase();
+      if (PARTICLES.has(word) && i > 0 && i < end - 1) return word;
+      return capitalize(word);
+    })
+    .join(" ");
+  if (comma === -1) return named;
+  const suffix = text
+    .slice(comma)
+    .toLowerCase()
+    .replace(/\p{L}[\p{L}.]*/gu, (word) => (isCredential(word) ? word.toUpperCase() : capitalize(word)));
+  return named + suffix;
+}
+
+// ---------------------------------------------------------------------------
+// Phones
+// ---------------------------------------------------------------------------
+
+const PHONE_EXT_RE = /\s*(?:ext\.?|extension|x|#)\s*(\d+)\s*$/i;
+
+/**
+ * A US phone as { phone, phoneE164 }: "(361) 945-2293" for display (with
+ * " ext. 12" kept) and "+13619452293" for dialing. Anything that isn't a
+ * 10-digit US number is kept as typed, with no E.164 form, for the audit
+ * to flag.
+ */
+export function normalizePhone(raw) {
+  if (!raw || !collapse(raw)) return { phone: null, phoneE164: null };
+  const text = collapse(raw);
+  const ext = PHONE_EXT_RE.exec(text);
+  let digits = text.slice(0, ext ? ext.index : undefined).replace(/\D/g, "");
+  if (digits.length === 11 && digits[0] === "1") digits = digits.slice(1);
+  if (!/^[2-9]\d{9}$/.test(digits)) return { phone: text, phoneE164: null };
+
+  const display = `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+  return {
+    phone: ext ? `${display} ext. ${ext[1]}` : display,
+    phoneE164: `+1${digits}`,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Addresses
+// ---------------------------------------------------------------------------
+
+// USPS street suffix abbreviations (Publication 28), from the full word
+// or a common abbreviation
+const STREET_SUFFIXES = {
+  Ave: ["avenue", "ave", "av"],
+  Blvd: ["boulevard", "blvd"],
+  Cir: ["circle", "cir"],
+  Ct: ["court", "ct"],
+  Dr: ["drive", "dr"],
+  Expy: ["expressway", "expy"],
+  Fwy: ["freeway", "fwy"],
+  Hwy: ["highway", "hwy"],
+  Ln: ["lane", "ln"],
+  Pkwy: ["parkway", "pkwy"],
+  Pl: ["place", "pl"],
+  Rd: ["road", "rd"],
+  Sq: ["square", "sq"],
+  St: ["street", "st", "str"],
+  Ter: ["terrace", "ter"],
+  Trl: ["trail", "trl"],
+  Tpke: ["turnpike", "tpke"],
+};
+const UNITS = { Ste: ["suite", "ste"], Fl: ["floor", "fl", "flr"] };
+const DIRECTIONS = new Set(["n", "s", "e", "w", "ne", "nw", "se", "sw"]);
+
+function lookup(table) {
+  const map = new Map();
+  for (const [abbr, words] of Object.entries(table)) for (const w of words) map.set(w, abbr);
+  return map;
+}
+const SUFFIX_OF = lookup(STREET_SUFFIXES);
+const UNIT_OF = lookup(UNITS);
+
+const bare = (token) => token.replace(/\.$/, "").toLowerCase();
+
+function properCaseAddress(text) {
+  return text
+    .toLowerCase()
+    .replace(/(^|[^\p{L}\d'’])(\p{L})/gu, (_, sep, letter) => sep + letter.toUpperCase())
+    .replace(/\b(ne|nw|se|sw|po)\b/gi, (w) => w.toUpperCase());
+}
+
+/**
+ * Tidy a street line: capitalize one typed in all capitals or lowercase,
+ * and abbreviate street suffixes and units the USPS way ("Locust Street,
+ * Suite 5" → "Locust St, Ste 5", "900 N. 92nd St." → "900 N 92nd St"). A suffix
+ * word only counts after the street name and before the end, a unit or a
+ * direction, so "Avenue of the Americas" and "St Paul St" keep their names.
+ */
+export function normalizeStreet(street) {
+  if (street == null) return null;
+  let text = collapse(street);
+  if (!text) return "";
+  if (text === text.toUpperCase() || text === text.toLowerCase()) text = properCaseAddress(text);
+
+  return text
+    .split(/\s*,\s*/)
+    .filter(Boolean)
+    .map((segment) => {
+      const tokens = segment.split(" ");
+      return tokens
+        .map((token, i) => {
+          const word = bare(token);
+          const next = tokens[i + 1];
+          // "N." after a house number or at the end; elsewhere it may be an initial
+          if (DIRECTIONS.has(word) && (!next || /^\d/.test(tokens[i - 1] || ""))) return word.toUpperCase();
+          if (UNIT_OF.has(word) && next && /^[#\d]|^[a-z]?\d/i.test(next)) return UNIT_OF.get(word);
+          if (!SUFFIX_OF.has(word) || i === 0 || !/\p{L}/u.test(tokens[i - 1])) return token;
+          const ends =
+            !next || DIRECTIONS.has(bare(next)) || UNIT_OF.has(bare(next)) || /^[#\d]/.test(next);
+          return ends ? SUFFIX_OF.get(word) : token;
+        })
+        .join(" ");
+    })
+    .join(", ");
+}
+
+/**
+ * Capitalize a city typed in all capitals or lowercase ("PASADENA"), but
+ * not a short abbreviation ("NY", "SLC").
+ */
+export function normalizeCity(city) {
+  if (city == null) return null;
+  const text = collapse(city);
+  const shouting = text === text.toUpperCase() && text.length > 3;
+  return shouting || text === text.toLowerCase() ? properCaseAddress(text) : text;
+}
+
+/**
+ * A zip as "NNNNN" or "NNNNN-NNNN". A 4-digit zip gets back the leading
+ * zero a spreadsheet dropped when that makes it a zip of `state` ("8540"
+ * in NJ → "08540"). Anything else is kept as typed, for the audit to flag.
+ */
+export function normalizeZip(zip, state) {
+  if (zip == null) return null;
+  const text = collapse(zip);
+  const m = /^(\d{4,5})(?:[-\s]?(\d{4}))?$/.exec(text);
+  if (!m) return text || null;
+  let five = m[1];
+  if (five.length === 4) {
+    if (!state || stateForZip(`0${five}`) !== state) return text;
+    five = `0${five}`;
+  }
+  return m[2] ? `${five}-${m[2]}` : five;
+}
+
+// ---------------------------------------------------------------------------
+// Organizations
+// ---------------------------------------------------------------------------
+
+/**
+ * The contact's organization, from AC's orgname (cut off at 50
+ * characters: "Columbia University Irving Medical Center Edward S") or the
+ * practice name field, taking the practice name when it is the uncut
+ * version.
+ */
+export function fullerOrganization(orgname, practiceName) {
+  const org = orgname ? collapse(orgname) : "";
+  const practice = practiceName ? collapse(practiceName) : "";
+  if (org && practice.length > org.length && practice.toLowerCase().startsWith(org.toLowerCase())) {
+    return practice;
+  }
+  return org || practice || null;
+}
+
+// ---------------------------------------------------------------------------
+// Records
+// ---------------------------------------------------------------------------
+
+/** A built prescriber record with its name, phone and address normalized. */
+export function normalizePrescriber(p) {
+  const addr = p.address || {};
+  const state = addr.state ? normalizeState(addr.state) || collapse(addr.state) : null;
+  const street = normalizeStreet(addr.street);
+  const city = normalizeCity(addr.city);
+  const zip = normalizeZip(addr.zip, state);
+  const full = [street, city, state, zip].filter(Boolean).join(", ");
+
+  return {
+    ...p,
+    name: properCaseName(p.name) || p.name,
+    ...normalizePhone(p.phone),
+    organization: p.organization ? collapse(p.organization) : null,
+    address: { street, city, state, zip, full: full || null },
+  };
+}
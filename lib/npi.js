@@ -0,0 +1,275 @@
+/**
+ * NPI validation and enrichment from a locally downloaded NPPES data file.
+ *
+ * The NPPES "Full Replacement Monthly NPI File" is a ~9 GB CSV, so it is
+ * streamed line by line and only rows for NPIs we actually have are kept.
+ * Download: https://download.cms.gov/nppes/NPI_Files.html
+ */
+
+import { createReadStream, existsSync } from "fs";
+import { createInterface } from "readline";
+import { normalizeStreet } from "./normalize.js";
+
+// Specialty labels for the taxonomy codes we expect to see; anything else
+// falls back to the raw NUCC code.
+const TAXONOMY_LABELS = {
+  "207W00000X": "Ophthalmology",
+  "207WX0009X": "Glaucoma Specialist",
+  "207WX0107X": "Retina Specialist",
+  "207WX0108X": "Uveitis and Ocular Inflammatory Disease",
+  "207WX0109X": "Neuro-ophthalmology",
+  "207WX0110X": "Pediatric Ophthalmology and Strabismus",
+  "207WX0120X": "Cornea and External Diseases Specialist",
+  "207WX0200X": "Ophthalmic Plastic and Reconstructive Surgery",
+  "152W00000X": "Optometrist",
+  "152WC0802X": "Optometrist — Corneal and Contact Management",
+  "152WL0500X": "Optometrist — Low Vision Rehabilitation",
+  "152WP0200X": "Optometrist — Pediatrics",
+  "152WS0006X": "Optometrist — Sports Vision",
+  "152WV0400X": "Optometrist — Vision Therapy",
+  "152WX0102X": "Optometrist — Occupational Vision",
+  "207Q00000X": "Family Medicine",
+  "207R00000X": "Internal Medicine",
+  "207RE0101X": "Endocrinology, Diabetes & Metabolism",
+  "207V00000X": "Obstetrics & Gynecology",
+  "208000000X": "Pediatrics",
+  "207L00000X": "Anesthesiology",
+  "363L00000X": "Nurse Practitioner",
+  "363A00000X": "Physician Assistant",
+};
+
+const COL = {
+  npi: "NPI",
+  entityType: "Entity Type Code",
+  orgName: "Provider Organization Name (Legal Business Name)",
+  lastName: "Provider Last Name (Legal Name)",
+  firstName: "Provider First Name",
+  credential: "Provider Credential Text",
+  street1: "Provider First Line Business Practice Location Address",
+  street2: "Provider Second Line Business Practice Location Address",
+  city: "Provider Business Practice Location Address City Name",
+  state: "Provider Business Practice Location Address State Name",
+  zip: "Provider Business Practice Location Address Postal Code",
+  phone: "Provider Business Practice Location Address Telephone Number",
+};
+const TAXONOMY_SLOTS = 15;
+
+/**
+ * Validate an NPI's check digit: Luhn over the 10 digits prefixed with
+ * the "80840" health-industry issuer code.
+ */
+export function isValidNpi(npi) {
+  const s = String(npi || "").trim();
+  if (!/^\d{10}$/.test(s)) return false;
+  const digits = `80840${s}`;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/** Split one CSV line (NPPES quotes every field; no embedded newlines). */
+export function parseCsvLine(line) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cur += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      out.push(cur);
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur);
+  return out;
+}
+
+function toRecord(cols, idx) {
+  const get = (key) => (idx[key] >= 0 ? cols[idx[key]].trim() : "") || null;
+
+  // Primary taxonomy, falling back to the first one listed
+  let taxonomyCode = null;
+  for (let n = 1; n <= TAXONOMY_SLOTS; n++) {
+    const code = cols[idx[`taxonomy${n}`]]?.trim();
+    if (!code) continue;
+    if (!taxonomyCode) taxonomyCode = code;
+    if (cols[idx[`primary${n}`]]?.trim() === "Y") {
+      taxonomyCode = code;
+      break;
+    }
+  }
+
+  const zip = get("zip");
+  const street = [get("street1"), get("street2")].filter(Boolean).join(", ");
+  const city = get("city");
+  const state = get("state");
+  const zip5 = zip ? zip.slice(0, 5) : null;
+
+  return {
+    npi: get("npi"),
+    isOrganization: get("entityType") === "2",
+    name:
+      get("entityType") === "2"
+        ? get("orgName")
+        : [get("firstName"), get("lastName")].filter(Boolean).join(" "),
+    lastName: get("lastName"),
+    credential: get("credential"),
+    taxonomyCode,
+    specialty: taxonomyCode ? TAXONOMY_LABELS[taxonomyCode] || taxonomyCode : null,
+    practiceAddress: {
+      street: street || null,
+      city,
+      state,
+      zip: zip5,
+      full: [street, city, state, zip5].filter(Boolean).join(", ") || null,
+    },
+    phone: get("phone"),
+  };
+}
+
+/**
+ * Stream the NPPES CSV and return a Map of NPI → record for the given set.
+ */
+export async function loadNppesRecords(path, npis) {
+  if (!existsSync(path)) {
+    throw new Error(`NPPES file not found: ${path}`);
+  }
+
+  const found = new Map();
+  const rl = createInterface({
+    input: createReadStream(path, { encoding: "utf8" }),
+    crlfDelay: Infinity,
+  });
+
+  let idx = null;
+  let lines = 0;
+  for await (const line of rl) {
+    if (!idx) {
+      const header = parseCsvLine(line);
+      idx = {};
+      for (const [key, name] of Object.entries(COL)) idx[key] = header.indexOf(name);
+      for (let n = 1; n <= TAXONOMY_SLOTS; n++) {
+        idx[`taxonomy${n}`] = header.indexOf(`Healthcare Provider Taxonomy Code_${n}`);
+        idx[`primary${n}`] = header.indexOf(`Healthcare Provider Primary Taxonomy Switch_${n}`);
+      }
+      // The fast path below relies on NPI being the first column
+      if (idx.npi !== 0) throw new Error(`${path} does not look like an NPPES data file`);
+      continue;
+    }
+
+    lines++;
+    if (lines % 1_000_000 === 0) {
+      console.log(`  Scanned ${lines.toLocaleString()} NPPES rows (${found.size} matched)`);
+    }
+
+    // Cheap prefix check before parsing the ~330 columns
+    const npi = line.slice(1, 11);
+    if (!npis.has(npi)) continue;
+    found.set(npi, toRecord(parseCsvLine(line), idx));
+    if (found.size === npis.size) {
+      rl.close();
+      break;
+    }
+  }
+
+  return found;
+}
+
+function nameTokens(name) {
+  return (name || "")
+    .toLowerCase()
+    .replace(/[^a-z\s-]/g, " ")
+    .split(/[\s-]+/)
+    .filter(Boolean);
+}
+
+// "1 Hudson Place, Suite 200" and "1 HUDSON PL STE 200" → "1 hudson pl":
+// the first street line in USPS form, without a unit
+function streetKey(street) {
+  const line = normalizeStreet(street || "").split(",")[0];
+  return line
+    .toLowerCase()
+    .replace(/\s(?:(?:ste|fl|apt|unit|rm)\b|#).*$/, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function phoneDigits(phone) {
+  return String(phone || "").replace(/\D/g, "").replace(/^1(?=\d{10}$)/, "").slice(0, 10);
+}
+
+/**
+ * Where AC and the registry disagree on the practice: "address" when the
+ * zip or street differ, "phone" when the numbers do. Only fields both
+ * sides have are compared.
+ */
+function nppesMismatches(prescriber, record) {
+  const mismatches = [];
+  const ours = prescriber.address || {};
+  const theirs = record.practiceAddress || {};
+  const zip5 = (zip) => (zip ? String(zip).slice(0, 5) : null);
+  const zips = [zip5(ours.zip), zip5(theirs.zip)];
+  const streets = [streetKey(ours.street), streetKey(theirs.street)];
+  if ((zips.every(Boolean) && zips[0] !== zips[1]) || (streets.every(Boolean) && streets[0] !== streets[1])) {
+    mismatches.push("address");
+  }
+  const phones = [phoneDigits(prescriber.phone), phoneDigits(record.phone)];
+  if (phones.every(Boolean) && phones[0] !== phones[1]) mismatches.push("phone");
+  return mismatches;
+}
+
+/**
+ * Cross-reference one prescriber against its NPPES record. Fills in
+ * specialty and phone when AC has none, and returns the `nppes` summary
+ * stored on the record, with the fields that disagree in `mismatches`.
+ */
+export function applyNppes(prescriber, record) {
+  if (!prescriber.npi) return null;
+  if (!isValidNpi(prescriber.npi)) return { status: "invalid" };
+  if (!record) return { status: "not-found" };
+
+  let nameMatch;
+  if (record.isOrganization) {
+    // Org NPIs can't confirm a doctor's name; compare against the practice
+    const org = new Set(nameTokens(prescriber.organization));
+    nameMatch = nameTokens(record.name).some((t) => t.length > 3 && org.has(t));
+  } else {
+    const ours = new Set(nameTokens(prescriber.name));
+    nameMatch = nameTokens(record.lastName).some((t) => ours.has(t));
+  }
+
+  // Compared before the registry's phone fills in a missing one
+  const mismatches = nppesMismatches(prescriber, record);
+  if (!prescriber.specialty && record.specialty) prescriber.specialty = record.specialty;
+  if (!prescriber.phone && record.phone) prescriber.phone = record.phone;
+
+  return {
+    status: nameMatch ? "match" : "name-mismatch",
+    mismatches,
+    name: record.name,
+    credential: record.credential,
+    taxonomyCode: record.taxonomyCode,
+    specialty: record.specialty,
+    practiceAddress: record.practiceAddress,
+    phone: record.phone,
+  };
+}
@@ -0,0 +1,97 @@
+/**
+ * Record an ambassador's referral outcome on the prescriber's ActiveCampaign
+ * contact: a note saying who recorded what, a tag per outcome (created in AC
+ * the first time it's used), and optionally a custom field holding the
+ * latest outcome. The outcomes themselves live in
+ * public/js/shared/referral-outcomes.js.
+ */
+
+import { REFERRAL_OUTCOMES } from "../public/js/shared/referral-outcomes.js";
+
+export { REFERRAL_OUTCOMES };
+
+const MAX_NOTE_LENGTH = 2000;
+
+/**
+ * `ac` is a client from lib/activecampaign.js. With `outcomeFieldId` the
+ * outcome label is also written to that contact field, so AC segments and
+ * automations can use it.
+ */
+export function createOutcomeRecorder(ac, { outcomeFieldId = null } = {}) {
+  // Tag name → Promise of its AC id, so concurrent requests create it once
+  const tagIds = new Map();
+
+  async function findOrCreateTag(name) {
+    const { tags = [] } = await ac.get("tags", { search: name });
+    const existing = tags.find((t) => t.tag === name);
+    if (existing) return existing.id;
+
+    const created = await ac.request("tags", {
+      method: "POST",
+      body: { tag: { tag: name, tagType: "contact", description: "Set from the MyEyes Prescriber Map" } },
+    });
+    return created.tag.id;
+  }
+
+  function tagId(name) {
+    if (!tagIds.has(name)) {
+      const pending = findOrCreateTag(name);
+      pending.catch(() => tagIds.delete(name));
+      tagIds.set(name, pending);
+    }
+    return tagIds.get(name);
+  }
+
+  return {
+    /**
+     * Write the outcome to each of `contactIds`: a merged record stands for
+     * several AC contacts (see lib/dedupe.js), and each of them should show
+     * it. They're written one after another, so if AC fails part-way the
+     * earlier ones keep theirs. `by` is the signed-in user
+     * ({ username, name }). Returns what was written:
+     * { outcome, tag, contactIds, noteIds, fieldUpdated }.
+     */
+    async record(contactIds, { outcome, note = "", by }) {
+      const { label, tag } = REFERRAL_OUTCOMES[outcome];
+      const who = by.name && by.name !== by.username ? `${by.name} (${by.username})` : by.username;
+      const text = [`HOME2 referral: ${label} — recorded by ${who}`, note.trim()]
+        .filter(Boolean)
+        .join("\n\n");
+
+      const noteIds = [];
+      for (const contactId of contactIds) {
+        const { note: created } = await ac.request("notes", {
+          method: "POST",
+          body: { note: { note: text, relid: contactId, reltype: "Subscriber" } },
+        });
+        noteIds.push(created?.id ?? null);
+
+        await ac.request("contactTags", {
+          method: "POST",
+          body: { contactTag: { contact: contactId, tag: await tagId(tag) } },
+        });
+
+        if (outcomeFieldId) {
+          await ac.request("fieldValues", {
+            method: "POST",
+            body: { fieldValue: { contact: contactId, field: outcomeFieldId, value: label } },
+          });
+        }
+      }
+
+      return { outcome, tag, contactIds, noteIds, fieldUpdated: !!outcomeFieldId };
+    },
+  };
+}
+
+/** Check a request body; returns an error message, or null if it's fine. */
+export function validateOutcome(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return "body must be a JSON object";
+  const { outcome, note } = body;
+  if (!Object.hasOwn(REFERRAL_OUTCOMES, outcome)) {
+    return `outcome must be one of: ${Object.keys(REFERRAL_OUTCOMES).join(", ")}`;
+  }
+  if (note != null && typeof note !== "string") return "note must be a string";
+  if (note && note.length > MAX_NOTE_LENGTH) return `note must be at most ${MAX_NOTE_LENGTH} characters`;
+  return null;
+}
@@ -0,0 +1,116 @@
+/**
+ * Retry with exponential backoff, a simple per-service rate limiter and a
+ * bounded-concurrency map. Shared by the geocoders and the ActiveCampaign
+ * client.
+ */
+
+export function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Thrown for failures worth retrying (HTTP 429/5xx).
+ * `retryAfterMs` comes from a Retry-After header when the server sent one.
+ */
+export class RetryableError extends Error {
+  constructor(message, { status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "RetryableError";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** True for HTTP statuses that are worth retrying. */
+export function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/** Parse a Retry-After header (seconds or HTTP date) into milliseconds. */
+export function parseRetryAfter(header) {
+  if (!header) return null;
+  const secs = Number(header);
+  if (!isNaN(secs)) return secs * 1000;
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * True for a fetch() that failed on the network (DNS, connection reset,
+ * timeout). fetch rejects with a TypeError "fetch failed" whose `cause` is
+ * the underlying error; other TypeErrors are bugs and not worth retrying.
+ */
+export function isNetworkError(err) {
+  return err instanceof TypeError && (err.message === "fetch failed" || err.cause != null);
+}
+
+/**
+ * Call `fn` until it succeeds, retrying RetryableErrors and network
+ * failures from fetch with exponential backoff plus jitter. Any other
+ * error is rethrown immediately.
+ *
+ * Pass `idempotent: false` for writes: a network failure may come after the
+ * server applied the request, so only RetryableErrors are retried then.
+ */
+export async function withRetry(
+  fn,
+  { retries = 4, baseDelayMs = 1000, maxDelayMs = 30000, label = "request", idempotent = true } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      const retryable = err instanceof RetryableError || (idempotent && isNetworkError(err));
+      if (!retryable || attempt >= retries) throw err;
+
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const delay = err.retryAfterMs ?? backoff + Math.random() * baseDelayMs;
+      console.warn(
+        `  ${label} failed (${err.message}); retry ${attempt + 1}/${retries} in ${(delay / 1000).toFixed(1)}s`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Rate limiter that spaces calls at least `minIntervalMs` apart, even when
+ * several callers are waiting at once.
+ */
+export function createRateLimiter(minIntervalMs) {
+  let next = 0;
+  return async function waitTurn() {
+    const now = Date.now();
+    const at = Math.max(now, next);
+    next = at + minIntervalMs;
+    if (at > now) await sleep(at - now);
+  };
+}
+
+/**
+ * Run `fn(item)` over `items` with at most `limit` calls in flight. Once
+ * a call fails no new ones start; in-flight calls are allowed to finish
+ * before the first error is rethrown.
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  async function worker() {
+    while (!failure && next < items.length) {
+      const i = next++;
+      try {
+        results[i] = await fn(items[i], i);
+      } catch (err) {
+        failure = failure || err;
+      }
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  if (failure) throw failure;
+  return results;
+}
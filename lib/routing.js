@@ -0,0 +1,188 @@
+/**
+ * Pluggable routing backends for drive-time searches.
+ *
+ * A router is `{ name, table(origin, destinations) }` where origin and each
+ * destination are `{ lat, lng }`. table() resolves to one entry per
+ * destination — `{ minutes, miles }` by road, or null if it can't be
+ * reached — and throws when the service itself failed.
+ * `createRouterChain` falls back to the next router on failure; the
+ * "estimate" router (straight line × detour factor, no network) never fails.
+ */
+
+import {
+  withRetry,
+  RetryableError,
+  isRetryableStatus,
+  parseRetryAfter,
+} from "./retry.js";
+import { haversine, destinationPoint, estimateDrive } from "./geo.js";
+
+// Fastest sustained road speed assumed when bounding a search
+const MAX_DRIVE_MPH = 70;
+
+// ---------------------------------------------------------------------------
+// Routers
+// ---------------------------------------------------------------------------
+
+/**
+ * OSRM Table service, e.g. a local `osrm-routed` on port 5000. Requests
+ * are split to stay under its table size limit (--max-table-size,
+ * default 100 locations).
+ */
+export function osrmRouter({ baseUrl = "http://localhost:5000", profile = "driving", maxTableSize = 100, retries = 2 } = {}) {
+  const base = baseUrl.replace(/\/+$/, "");
+
+  async function tableBatch(origin, destinations) {
+    const coords = [origin, ...destinations].map((p) => `${p.lng},${p.lat}`).join(";");
+    const url = `${base}/table/v1/${profile}/${coords}?sources=0&annotations=duration,distance`;
+    const data = await withRetry(
+      async () => {
+        const res = await fetch(url, { signal: AbortSignal.timeout(15000) });
+        if (isRetryableStatus(res.status)) {
+          throw new RetryableError(`OSRM HTTP ${res.status}`, {
+            status: res.status,
+            retryAfterMs: parseRetryAfter(res.headers.get("retry-after")),
+          });
+        }
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok || body.code !== "Ok") {
+          throw new Error(`OSRM ${body.code || `HTTP ${res.status}`}: ${body.message || "request failed"}`);
+        }
+        return body;
+      },
+      { retries, baseDelayMs: 500, label: "OSRM table" }
+    );
+
+    // Row 0 is the origin; column 0 is the origin itself
+    return destinations.map((_, i) => {
+      const seconds = data.durations[0][i + 1];
+      const meters = data.distances?.[0]?.[i + 1];
+      if (seconds == null) return null;
+      return { minutes: seconds / 60, miles: meters != null ? meters / 1609.34 : null };
+    });
+  }
+
+  return {
+    name: "osrm",
+    async table(origin, destinations) {
+      const results = [];
+      for (let i = 0; i < destinations.length; i += maxTableSize - 1) {
+        results.push(...(await tableBatch(origin, destinations.slice(i, i + maxTableSize - 1))));
+      }
+      return results;
+    },
+  };
+}
+
+/** No network: straight-line distance scaled by a detour factor and speed. */
+export function estimateRouter() {
+  return {
+    name: "estimate",
+    async table(origin, destinations) {
+      return destinations.map((d) => estimateDrive(haversine(origin.lat, origin.lng, d.lat, d.lng)));
+    },
+  };
+}
+
+/**
+ * Try routers in order. Resolves to `{ source, results }` naming the router
+ * that answered.
+ */
+export function createRouterChain(routers) {
+  return {
+    routers,
+    async table(origin, destinations) {
+      let lastError = null;
+      for (const router of routers) {
+        try {
+          return { source: router.name, results: await router.table(origin, destinations) };
+        } catch (err) {
+          lastError = err;
+          console.warn(`${router.name} routing unavailable: ${err.message}`);
+        }
+      }
+      throw lastError || new Error("No routers configured");
+    },
+  };
+}
+
+/**
+ * Build a chain from a comma-separated list such as "osrm,estimate" (the
+ * ROUTER env var). "estimate" is always appended as the last resort.
+ */
+export function buildRouterChain(spec, { osrmUrl } = {}) {
+  const names = spec
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  if (!names.includes("estimate")) names.push("estimate");
+
+  return createRouterChain(
+    names.map((name) => {
+      switch (name) {
+        case "osrm":
+          return osrmRouter({ baseUrl: osrmUrl });
+        case "estimate":
+          return estimateRouter();
+        default:
+          throw new Error(`Unknown router "${name}" in ROUTER`);
+      }
+    })
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Drive-time area
+// ---------------------------------------------------------------------------
+
+/**
+ * Straight-line miles that can't be beaten in `minutes` of driving, for
+ * narrowing candidates before routing.
+ */
+export function maxDriveMiles(minutes) {
+  return (minutes / 60) * MAX_DRIVE_MPH;
+}
+
+/**
+ * Approximate the area reachable within `minutes` as a polygon of
+ * [lat, lng] points: route to sample points along `bearings` rays, and on
+ * each ray interpolate between the farthest reachable sample and the next.
+ */
+export async function driveTimeArea(chain, origin, minutes, { bearings = 24, steps = 6 } = {}) {
+  const maxMiles = maxDriveMiles(minutes);
+  const stepMiles = maxMiles / steps;
+  const samples = [];
+  for (let b = 0; b < bearings; b++) {
+    const bearing = (360 / bearings) * b;
+    for (let s = 1; s <= steps; s++) {
+      const [lat, lng] = destinationPoint(origin.lat, origin.lng, bearing, stepMiles * s);
+      samples.push({ lat, lng });
+    }
+  }
+
+  const { source, results } = await chain.table(origin, samples);
+
+  const polygon = [];
+  for (let b = 0; b < bearings; b++) {
+    const ray = results.slice(b * steps, (b + 1) * steps);
+    let last = -1;
+    ray.forEach((r, s) => {
+      if (r && r.minutes <= minutes) last = s;
+    });
+
+    let miles;
+    if (last === -1) {
+      // Nothing reachable this way (water, mountains): keep a sliver so the
+      // outline stays a simple polygon around the origin
+      miles = stepMiles / 4;
+    } else {
+      miles = stepMiles * (last + 1);
+      const [here, next] = [ray[last], ray[last + 1]];
+      if (next && next.minutes > here.minutes) {
+        miles += (stepMiles * (minutes - here.minutes)) / (next.minutes - here.minutes);
+      }
+    }
+    polygon.push(destinationPoint(origin.lat, origin.lng, (360 / bearings) * b, miles));
+  }
+  return { source, polygon };
+}
@@ -0,0 +1,72 @@
+/**
+ * Versioned schema for prescribers.json (schema/prescribers.schema.json)
+ * and the validation step run before the pipeline writes its output.
+ */
+
+import { readFileSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCHEMA_PATH = join(__dirname, "..", "schema", "prescribers.schema.json");
+
+const schema = JSON.parse(readFileSync(SCHEMA_PATH, "utf8"));
+
+export const SCHEMA_VERSION = schema.properties.schemaVersion.const;
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+const validate = ajv.compile(schema);
+
+// Every field a record must carry, with its value when the pipeline has
+// nothing for it. Keeps the shape stable across enrich/--npi/reused runs.
+const RECORD_DEFAULTS = {
+  udate: null,
+  email: null,
+  phone: null,
+  phoneE164: null,
+  organization: null,
+  specialty: null,
+  practiceType: null,
+  npi: null,
+  lat: null,
+  lng: null,
+  geoSource: null,
+  geoPrecision: "none",
+  healthSystem: null,
+  googleAddress: null,
+  verified: false,
+  nppes: null,
+};
+
+/**
+ * Fill in any fields missing from a record (e.g. one reused from an older
+ * output) so it matches the current schema.
+ */
+export function toSchemaRecord(p) {
+  // Schema order: the required list doubles as the field order on disk
+  const record = {};
+  for (const key of schema.definitions.prescriber.required) {
+    record[key] = p[key] !== undefined ? p[key] : RECORD_DEFAULTS[key] ?? null;
+  }
+  // Unmerged records stand for just their own contact (see lib/dedupe.js)
+  if (!record.contactIds) record.contactIds = [record.id];
+  if (!p.geoPrecision && record.lat != null && record.lng != null) {
+    // Data from before precision tracking: infer from the address
+    record.geoPrecision = record.address?.street ? "street" : record.address?.zip ? "zip" : "city";
+  }
+  return record;
+}
+
+/** Validate an output document; returns a list of readable errors. */
+export function validateOutput(output) {
+  if (validate(output)) return [];
+  return validate.errors.map((e) => {
+    const where = e.instancePath || "(root)";
+    const m = /^\/prescribers\/(\d+)/.exec(e.instancePath);
+    const who = m ? ` [${output.prescribers[+m[1]]?.name}]` : "";
+    return `${where}${who} ${e.message}`;
+  });
+}
@@ -0,0 +1,88 @@
+/**
+ * In-memory prescriber search for the server API: a grid spatial index for
+ * radius queries (public/js/shared/grid.js), plus lookup by id. Distances
+ * use the same haversine as the frontend.
+ */
+
+import { createGridIndex } from "../public/js/shared/grid.js";
+import { normalizeState } from "./us-states.js";
+import { maxDriveMiles } from "./routing.js";
+import { placesFromPrescribers } from "../public/js/shared/locations.js";
+import { withoutContacts } from "../public/js/shared/contacts.js";
+
+export { createGridIndex };
+
+// ---------------------------------------------------------------------------
+// Prescriber index
+// ---------------------------------------------------------------------------
+
+/**
+ * Index a prescribers.json document. `near()` applies the optional state
+ * and specialty filters and returns at most `limit` records (with a
+ * `distance` in miles), plus the total number of matches. `nearByDrive()`
+ * does the same within `minutes` of driving, ranked by a router chain
+ * (lib/routing.js), adding `driveMinutes` and `driveMiles`. `towns` are
+ * the places prescribers are in, for the location search, and
+ * `directory()` is the document without anyone's phone or email.
+ */
+export function createPrescriberIndex(data) {
+  const prescribers = data.prescribers || [];
+  const byId = new Map(prescribers.map((p) => [String(p.id), p]));
+  const grid = createGridIndex(prescribers.filter((p) => p.lat && p.lng));
+
+  return {
+    generated: data.generated,
+    schemaVersion: data.schemaVersion || 1,
+    total: prescribers.length,
+    towns: placesFromPrescribers(prescribers, normalizeState),
+
+    get(id) {
+      return byId.get(String(id)) || null;
+    },
+
+    directory() {
+      return { ...data, prescribers: prescribers.map(withoutContacts) };
+    },
+
+    near(lat, lng, { radius, state = null, specialty = null, limit = Infinity }) {
+      const wantState = state ? normalizeState(state) : null;
+      const wantSpecialty = specialty ? specialty.trim().toLowerCase() : null;
+
+      const matches = grid.within(lat, lng, radius).filter(({ point: p }) => {
+        if (wantState && normalizeState(p.address?.state) !== wantState) return false;
+        const specialty = p.specialty || p.prescriberType || "";
+        if (wantSpecialty && specialty.toLowerCase() !== wantSpecialty) return false;
+        return true;
+      });
+
+      return {
+        total: matches.length,
+        results: matches
+          .slice(0, limit)
+          .map(({ point, distance }) => ({ ...point, distance: round(distance) })),
+      };
+    },
+
+    async nearByDrive(chain, lat, lng, { minutes, limit = Infinity, ...filters }) {
+      // Nobody farther than the fastest possible drive can qualify
+      const candidates = this.near(lat, lng, { ...filters, radius: maxDriveMiles(minutes) }).results;
+      const { source, results } = await chain.table({ lat, lng }, candidates);
+
+      const reachable = candidates
+        .map((p, i) => ({ p, drive: results[i] }))
+        .filter(({ drive }) => drive && drive.minutes <= minutes)
+        .sort((a, b) => a.drive.minutes - b.drive.minutes)
+        .map(({ p, drive }) => ({
+          ...p,
+          driveMinutes: round(drive.minutes),
+          driveMiles: drive.miles != null ? round(drive.miles) : null,
+        }));
+
+      return { source, total: reachable.length, results: reachable.slice(0, limit) };
+    },
+  };
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
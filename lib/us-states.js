@@ -0,0 +1,84 @@
+/**
+ * US state reference data for the pipeline: name → code normalization
+ * (public/js/shared/us-states.js, shared with the frontend), zip prefix
+ * ranges and rough bounding boxes used by the address audit.
+ */
+
+export { STATE_CODES, normalizeState } from "../public/js/shared/us-states.js";
+
+// USPS 3-digit zip prefix ranges (inclusive) by state
+const ZIP3_RANGES = [
+  [5, 5, "NY"], [10, 27, "MA"], [28, 29, "RI"], [30, 38, "NH"], [39, 49, "ME"],
+  [50, 54, "VT"], [55, 55, "MA"], [56, 59, "VT"], [60, 69, "CT"], [70, 89, "NJ"],
+  [100, 149, "NY"], [150, 196, "PA"], [197, 199, "DE"], [200, 200, "DC"],
+  [201, 201, "VA"], [202, 205, "DC"], [206, 219, "MD"], [220, 246, "VA"],
+  [247, 268, "WV"], [270, 289, "NC"], [290, 299, "SC"], [300, 319, "GA"],
+  [320, 339, "FL"], [341, 349, "FL"], [350, 369, "AL"], [370, 385, "TN"],
+  [386, 397, "MS"], [398, 399, "GA"], [400, 427, "KY"], [430, 459, "OH"],
+  [460, 479, "IN"], [480, 499, "MI"], [500, 528, "IA"], [530, 549, "WI"],
+  [550, 567, "MN"], [569, 569, "DC"], [570, 577, "SD"], [580, 588, "ND"],
+  [590, 599, "MT"], [600, 629, "IL"], [630, 658, "MO"], [660, 679, "KS"],
+  [680, 693, "NE"], [700, 714, "LA"], [716, 729, "AR"], [730, 732, "OK"],
+  [733, 733, "TX"], [734, 749, "OK"], [750, 799, "TX"], [800, 816, "CO"],
+  [820, 831, "WY"], [832, 838, "ID"], [840, 847, "UT"], [850, 865, "AZ"],
+  [870, 884, "NM"], [885, 885, "TX"], [889, 898, "NV"], [900, 961, "CA"],
+  [967, 968, "HI"], [970, 979, "OR"], [980, 994, "WA"], [995, 999, "AK"],
+];
+
+/** State a 5-digit (or ZIP+4) zip belongs to, or null if unknown. */
+export function stateForZip(zip) {
+  const m = /^(\d{3})\d{2}(-\d{4})?$/.exec(String(zip || "").trim());
+  if (!m) return null;
+  const prefix = parseInt(m[1], 10);
+  const range = ZIP3_RANGES.find(([lo, hi]) => prefix >= lo && prefix <= hi);
+  return range ? range[2] : null;
+}
+
+// Approximate bounding boxes: [minLat, minLng, maxLat, maxLng]
+const STATE_BOUNDS = {
+  AL: [30.14, -88.47, 35.01, -84.89], AK: [51.21, -179.99, 71.39, -129.98],
+  AZ: [31.33, -114.82, 37.0, -109.04], AR: [33.0, -94.62, 36.5, -89.64],
+  CA: [32.53, -124.41, 42.01, -114.13], CO: [36.99, -109.06, 41.0, -102.04],
+  CT: [40.98, -73.73, 42.05, -71.79], DE: [38.45, -75.79, 39.84, -75.05],
+  DC: [38.79, -77.12, 38.99, -76.91], FL: [24.4, -87.63, 31.0, -80.03],
+  GA: [30.36, -85.61, 35.0, -80.84], HI: [18.91, -160.25, 22.24, -154.81],
+  ID: [41.99, -117.24, 49.0, -111.04], IL: [36.97, -91.51, 42.51, -87.02],
+  IN: [37.77, -88.1, 41.76, -84.78], IA: [40.38, -96.64, 43.5, -90.14],
+  KS: [36.99, -102.05, 40.0, -94.59], KY: [36.5, -89.57, 39.15, -81.96],
+  LA: [28.93, -94.04, 33.02, -88.82], ME: [43.06, -71.08, 47.46, -66.95],
+  MD: [37.91, -79.49, 39.72, -75.05], MA: [41.24, -73.51, 42.89, -69.93],
+  MI: [41.7, -90.42, 48.31, -82.41], MN: [43.5, -97.24, 49.38, -89.49],
+  MS: [30.17, -91.66, 35.0, -88.1], MO: [35.99, -95.77, 40.61, -89.1],
+  MT: [44.36, -116.05, 49.0, -104.04], NE: [40.0, -104.05, 43.0, -95.31],
+  NV: [35.0, -120.01, 42.0, -114.04], NH: [42.7, -72.56, 45.31, -70.61],
+  NJ: [38.93, -75.56, 41.36, -73.89], NM: [31.33, -109.05, 37.0, -103.0],
+  NY: [40.5, -79.76, 45.02, -71.86], NC: [33.84, -84.32, 36.59, -75.46],
+  ND: [45.94, -104.05, 49.0, -96.55], OH: [38.4, -84.82, 41.98, -80.52],
+  OK: [33.62, -103.0, 37.0, -94.43], OR: [41.99, -124.57, 46.29, -116.46],
+  PA: [39.72, -80.52, 42.27, -74.69], RI: [41.15, -71.86, 42.02, -71.12],
+  SC: [32.03, -83.35, 35.22, -78.54], SD: [42.48, -104.06, 45.95, -96.44],
+  TN: [34.98, -90.31, 36.68, -81.65], TX: [25.84, -106.65, 36.5, -93.51],
+  UT: [37.0, -114.05, 42.0, -109.04], VT: [42.73, -73.44, 45.02, -71.46],
+  VA: [36.54, -83.68, 39.47, -75.24], WA: [45.54, -124.85, 49.0, -116.92],
+  WV: [37.2, -82.64, 40.64, -77.72], WI: [42.49, -92.89, 47.08, -86.25],
+  WY: [40.99, -111.06, 45.01, -104.05],
+};
+
+// Slack for points just across a border (~5 km)
+const BOUNDS_TOLERANCE = 0.05;
+
+/**
+ * Whether a point falls inside a state's bounding box. Returns null when
+ * the state has no known bounds (so callers can skip the check).
+ */
+export function isInState(state, lat, lng) {
+  const box = STATE_BOUNDS[state];
+  if (!box) return null;
+  const [minLat, minLng, maxLat, maxLng] = box;
+  return (
+    lat >= minLat - BOUNDS_TOLERANCE &&
+    lat <= maxLat + BOUNDS_TOLERANCE &&
+    lng >= minLng - BOUNDS_TOLERANCE &&
+    lng <= maxLng + BOUNDS_TOLERANCE
+  );
+}
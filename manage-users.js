@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Manage server-mode logins in the users file (USERS_FILE, default
+ * data/users.json). Passwords are stored as scrypt hashes only.
+ *
+ * Usage:
+ *   node manage-users.js add <username> [--name "Full Name"]
+ *   node manage-users.js passwd <username>
+ *   node manage-users.js disable <username>
+ *   node manage-users.js enable <username>
+ *   node manage-users.js remove <username>
+ *   node manage-users.js list
+ *
+ * The password is prompted for, or read from USER_PASSWORD when set
+ * (for scripted setup).
+ */
+
+import "dotenv/config";
+import { createInterface } from "readline";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { hashPassword, loadUsers, saveUsers } from "./lib/auth.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const USERS_FILE = process.env.USERS_FILE || join(__dirname, "data", "users.json");
+const MIN_PASSWORD_LENGTH = 10;
+
+const [command, rawUsername, ...rest] = process.argv.slice(2);
+const username = (rawUsername || "").trim().toLowerCase();
+const nameIndex = rest.indexOf("--name");
+const displayName = nameIndex !== -1 ? rest[nameIndex + 1] : null;
+
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const rl = createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    // Echo the prompt but not the typed characters
+    rl._writeToOutput = (s) => {
+      if (s.includes(question)) process.stdout.write(s);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+  });
+}
+
+async function readPassword() {
+  if (process.env.USER_PASSWORD) return process.env.USER_PASSWORD;
+  const password = await promptHidden("Password: ");
+  const confirm = await promptHidden("Confirm password: ");
+  if (password !== confirm) throw new Error("Passwords do not match");
+  return password;
+}
+
+async function setPassword(users, isNew) {
+  if (isNew && users[username]) throw new Error(`User "${username}" already exists`);
+  if (!isNew && !users[username]) throw new Error(`No user "${username}"`);
+
+  const password = await readPassword();
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  users[username] = {
+    ...users[username],
+    name: displayName || users[username]?.name || username,
+    hash: hashPassword(password),
+    ...(isNew ? { created: new Date().toISOString() } : { updated: new Date().toISOString() }),
+  };
+}
+
+async function main() {
+  const users = loadUsers(USERS_FILE);
+
+  if (command === "list") {
+    const names = Object.keys(users).sort();
+    if (names.length === 0) console.log(`No users in ${USERS_FILE}`);
+    for (const u of names) {
+      console.log(`${u}\t${users[u].name}${users[u].disabled ? "\t(disabled)" : ""}`);
+    }
+    return;
+  }
+
+  if (!username || !["add", "passwd", "disable", "enable", "remove"].includes(command)) {
+    console.error("Usage: node manage-users.js add|passwd|disable|enable|remove <username> | list");
+    process.exit(1);
+  }
+
+  switch (command) {
+    case "add":
+      await setPassword(users, true);
+      break;
+    case "passwd":
+      await setPassword(users, false);
+      break;
+    case "disable":
+    case "enable":
+      if (!users[username]) throw new Error(`No user "${username}"`);
+      users[username].disabled = command === "disable";
+      break;
+    case "remove":
+      if (!users[username]) throw new Error(`No user "${username}"`);
+      delete users[username];
+      break;
+  }
+
+  saveUsers(USERS_FILE, users);
+  console.log(`${command}: ${username} (${USERS_FILE})`);
+}
+
+main().catch((err) => {
+  console.error("Error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * A stand-in for the ActiveCampaign v3 API, for trying the outcome
+ * write-back (server.js) without touching the real CRM. Keeps tags, notes,
+ * contact tags and field values in memory and logs every write.
+ *
+ * Usage:
+ *   node mock-activecampaign.js            # http://localhost:4555
+ *   ACTIVECAMPAIGN_URL=http://localhost:4555 ACTIVECAMPAIGN_API_KEY=test npm start
+ *
+ * GET /state returns everything written so far.
+ *
+ * Environment:
+ *   MOCK_AC_PORT   Port to listen on (default 4555; 0 picks a free one)
+ *   MOCK_AC_FAIL   Answer every write with this HTTP status (e.g. 500)
+ */
+
+import { createServer } from "http";
+
+const PORT = parseInt(process.env.MOCK_AC_PORT || "4555", 10);
+const FAIL = parseInt(process.env.MOCK_AC_FAIL || "0", 10);
+
+const state = { tags: [], notes: [], contactTags: [], fieldValues: [] };
+let nextId = 1;
+
+// POST collection → [state key, request body key]
+const WRITES = {
+  tags: ["tags", "tag"],
+  notes: ["notes", "note"],
+  contactTags: ["contactTags", "contactTag"],
+  fieldValues: ["fieldValues", "fieldValue"],
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// The parsed body, or null if it isn't JSON
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString() || "{}");
+  } catch {
+    return null;
+  }
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  if (url.pathname === "/state") return send(res, 200, state);
+
+  if (!req.headers["api-token"]) return send(res, 403, { message: "Missing Api-Token header" });
+  const collection = url.pathname.replace(/^\/api\/3\//, "");
+
+  if (req.method === "GET" && collection === "tags") {
+    const search = (url.searchParams.get("search") || "").toLowerCase();
+    const tags = state.tags.filter((t) => t.tag.toLowerCase().includes(search));
+    return send(res, 200, { tags, meta: { total: String(tags.length) } });
+  }
+
+  if (req.method === "POST" && WRITES[collection]) {
+    if (FAIL) return send(res, FAIL, { message: "Mock failure" });
+    const [key, field] = WRITES[collection];
+    const body = await readBody(req);
+    if (!body) return send(res, 400, { message: "Body is not valid JSON" });
+    const record = { ...body[field], id: String(nextId++), cdate: new Date().toISOString() };
+    state[key].push(record);
+    console.log(`POST ${collection}`, JSON.stringify(body[field]));
+    return send(res, 201, { [field]: record });
+  }
+
+  send(res, 404, { message: "Not found" });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock ActiveCampaign API on http://localhost:${server.address().port}`);
+});
@@ -1,8 +1,34 @@
 /**
  * MyEyes Prescriber Map — Frontend
- * Reads prescribers.json, renders on Leaflet map, supports zip code search.
+ * Reads prescribers.json (behind server.js, a directory without phone
+ * numbers or emails), renders on Leaflet map, supports searching near a
+ * patient's zip, town, street address or current location. Behind
+ * server.js, places are resolved by /api/locate and searches go to
+ * /api/prescribers/near; on a static host both happen here. Searches are by straight-line miles or by
+ * drive time (routed on the server, estimated from distance otherwise).
  */
 
+import { haversine, estimateDrive, estimatedReachMiles } from "./shared/geo.js";
+import {
+  parseLocationQuery,
+  resolveLocation,
+  createPlaceIndex,
+  placesFromPrescribers,
+} from "./shared/locations.js";
+import {
+  OUTCOMES,
+  createShortlist,
+  shortlistCsv,
+  patientEmailUrl,
+  printableSheet,
+} from "./shortlist.js";
+import { REFERRAL_OUTCOMES } from "./shared/referral-outcomes.js";
+import { STATE_CODES, normalizeState } from "./shared/us-states.js";
+import { resultsCsv, resultsVCards, printableResults } from "./export.js";
+import { publicEmail } from "./shared/contacts.js";
+import { GAP_CLASSES, MAX_GAP_MILES, analyzeCoverage, gapClass } from "./coverage.js";
+import { createDoctorIndex, highlight } from "./doctor-search.js";
+
 (function () {
   "use strict";
 
@@ -10,59 +36,63 @@
   // State
   // -----------------------------------------------------------------------
   let allPrescribers = [];
-  let map, markerCluster, searchCircle;
+  let prescribersById = new Map();
+  let doctorIndex = createDoctorIndex([]); // fuzzy doctor search over allPrescribers
+  let map, markerCluster, searchCircle, searchMarker;
   let searchLat = null,
     searchLng = null;
+  let searchApi = false; // server.js search endpoints available
+  let serverFeatures = {}; // optional server.js features, from /api/session
+  let markersByKey = new Map(); // every marker made so far, by location (see locationKey)
+  let shownById = new Map(); // records on the map/list, with distances
+  let shownByKey = new Map(); // the same records with coordinates, by location
+  let popupFocusId = null; // prescriber to highlight in the next popup opened
+  let selectedId = null; // prescriber whose popup is open
 
   // -----------------------------------------------------------------------
-  // Auth
+  // Auth (server mode — see server.js; the static site has no session API)
   // -----------------------------------------------------------------------
-  const PASS_HASH = "a0b1c8f4e6d2"; // lightweight check — not crypto-grade
-  function checkPass(input) {
-    return input === "myeyesmap";
+  function redirectToLogin(expired) {
+    const next = encodeURIComponent(location.pathname + location.search);
+    location.replace(`/login?next=${next}${expired ? "&expired=1" : ""}`);
   }
 
-  // -----------------------------------------------------------------------
-  // Init
-  // -----------------------------------------------------------------------
-  document.addEventListener("DOMContentLoaded", function () {
-    const gate = document.getElementById("login-gate");
-    const app = document.getElementById("app");
-    const passInput = document.getElementById("login-password");
-    const loginBtn = document.getElementById("login-btn");
-    const loginErr = document.getElementById("login-error");
-
-    // Already authenticated this session
-    if (sessionStorage.getItem("myeyes-map-auth") === "1") {
-      gate.classList.add("hidden");
-      app.classList.remove("hidden");
-      init();
+  async function initSession() {
+    let res;
+    try {
+      res = await fetch("/api/session");
+    } catch {
       return;
     }
-
-    function attemptLogin() {
-      if (checkPass(passInput.value)) {
-        sessionStorage.setItem("myeyes-map-auth", "1");
-        gate.classList.add("hidden");
-        app.classList.remove("hidden");
-        init();
-      } else {
-        loginErr.textContent = "Incorrect password";
-        passInput.value = "";
-        passInput.focus();
-      }
-    }
-
-    loginBtn.addEventListener("click", attemptLogin);
-    passInput.addEventListener("keydown", function (e) {
-      if (e.key === "Enter") attemptLogin();
+    if (res.status === 401) return redirectToLogin(true);
+    // Static hosting: no server-side auth (or the SPA rewrite answered)
+    if (!res.ok || !res.headers.get("Content-Type")?.includes("json")) return;
+
+    const { user, features } = await res.json();
+    searchApi = true;
+    serverFeatures = features || {};
+    document.getElementById("user-name").textContent = user.name;
+    document.getElementById("header-user").classList.remove("hidden");
+    document.getElementById("logout-btn").addEventListener("click", async () => {
+      await fetch("/api/logout", { method: "POST" }).catch(() => {});
+      location.replace("/login");
     });
-  });
+  }
+
+  // -----------------------------------------------------------------------
+  // Init
+  // -----------------------------------------------------------------------
+  document.addEventListener("DOMContentLoaded", init);
 
   async function init() {
+    const session = initSession();
     initMap();
+    // Whether there's a session decides where the data comes from
+    await session;
     await loadData();
     bindEvents();
+    initShortlist();
+    await applyUrlState(readUrlState());
   }
 
   function initMap() {
@@ -76,23 +106,57 @@
       maxClusterRadius: 40,
       spiderfyOnMaxZoom: true,
       showCoverageOnHover: false,
+      iconCreateFunction: clusterIcon,
     });
     map.addLayer(markerCluster);
+
+    const legend = L.control({ position: "bottomright" });
+    legend.onAdd = function () {
+      const div = L.DomUtil.create("div", "map-legend");
+      div.innerHTML =
+        '<div class="approx-pin">~</div> Approximate location (zip or city center)';
+      return div;
+    };
+    legend.addTo(map);
   }
 
+  // prescribers.json schema versions this page understands (see
+  // schema/prescribers.schema.json). Files without one predate versioning.
+  const MIN_SCHEMA_VERSION = 1;
+  const MAX_SCHEMA_VERSION = 3;
+
+  // Behind server.js, the directory without phone numbers or emails (see
+  // loadContacts); on a static host, the whole file
   async function loadData() {
     document.getElementById("loading").classList.remove("hidden");
     try {
-      const res = await fetch("prescribers.json");
+      const res = await fetch(searchApi ? "/api/prescribers" : "prescribers.json");
+      if (res.status === 401) return redirectToLogin(true);
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
+
+      const version = data.schemaVersion || 1;
+      if (version < MIN_SCHEMA_VERSION || version > MAX_SCHEMA_VERSION) {
+        console.error(
+          `prescribers.json schema v${version} is not supported (v${MIN_SCHEMA_VERSION}–v${MAX_SCHEMA_VERSION})`
+        );
+        document.getElementById("data-info").textContent =
+          version > MAX_SCHEMA_VERSION
+            ? `The prescriber data (schema v${version}) is newer than this page supports (up to v${MAX_SCHEMA_VERSION}). Deploy the matching version of the app.`
+            : `The prescriber data (schema v${version}) is too old for this page. Re-run \`npm run fetch\` and redeploy.`;
+        return;
+      }
+
       allPrescribers = data.prescribers || [];
+      prescribersById = new Map(allPrescribers.map((p) => [String(p.id), p]));
+      doctorIndex = createDoctorIndex(allPrescribers);
 
       const info = document.getElementById("data-info");
       info.textContent = `Data generated: ${new Date(data.generated).toLocaleString()} | ${data.total} prescribers (${data.geocoded} mapped)`;
 
       populateStateFilter();
-      showPrescribers(allPrescribers);
+      renderFacets();
+      applyFilters();
     } catch (e) {
       console.error("Failed to load prescribers.json:", e);
       document.getElementById("data-info").textContent =
@@ -102,32 +166,6 @@
     }
   }
 
-  // State name → 2-letter code normalization
-  const STATE_CODES = {
-    ALABAMA:"AL",ALASKA:"AK",ARIZONA:"AZ",ARKANSAS:"AR",CALIFORNIA:"CA",
-    COLORADO:"CO",CONNECTICUT:"CT",DELAWARE:"DE",FLORIDA:"FL",GEORGIA:"GA",
-    HAWAII:"HI",IDAHO:"ID",ILLINOIS:"IL",INDIANA:"IN",IOWA:"IA",KANSAS:"KS",
-    KENTUCKY:"KY",LOUISIANA:"LA",MAINE:"ME",MARYLAND:"MD",MASSACHUSETTS:"MA",
-    MICHIGAN:"MI",MINNESOTA:"MN",MISSISSIPPI:"MS",MISSOURI:"MO",MONTANA:"MT",
-    NEBRASKA:"NE",NEVADA:"NV","NEW HAMPSHIRE":"NH","NEW JERSEY":"NJ",
-    "NEW MEXICO":"NM","NEW YORK":"NY","NORTH CAROLINA":"NC","NORTH DAKOTA":"ND",
-    OHIO:"OH",OKLAHOMA:"OK",OREGON:"OR",PENNSYLVANIA:"PA","RHODE ISLAND":"RI",
-    "SOUTH CAROLINA":"SC","SOUTH DAKOTA":"SD",TENNESSEE:"TN",TEXAS:"TX",
-    UTAH:"UT",VERMONT:"VT",VIRGINIA:"VA",WASHINGTON:"WA","WEST VIRGINIA":"WV",
-    WISCONSIN:"WI",WYOMING:"WY","DISTRICT OF COLUMBIA":"DC",
-  };
-  const VALID_CODES = new Set(Object.values(STATE_CODES));
-
-  function normalizeState(raw) {
-    if (!raw) return null;
-    const upper = raw.trim().toUpperCase();
-    // Already a valid 2-letter code
-    if (VALID_CODES.has(upper)) return upper;
-    // Full name → code
-    if (STATE_CODES[upper]) return STATE_CODES[upper];
-    return null; // Non-US or unrecognized — exclude
-  }
-
   function populateStateFilter() {
     const states = [...new Set(
       allPrescribers
@@ -150,296 +188,1241 @@
     });
   }
 
-  function getFilteredPrescribers() {
-    const state = document.getElementById("state-filter").value;
-    if (!state) return allPrescribers;
-    return allPrescribers.filter(
-      (p) => normalizeState(p.address?.state) === state
+  // -----------------------------------------------------------------------
+  // Contact details (server mode)
+  // -----------------------------------------------------------------------
+  // Records from the directory say only whether there's a phone or email;
+  // search results and the static file carry the details themselves
+  function needsContacts(p) {
+    return searchApi && !("phone" in p);
+  }
+
+  // The most ids /api/prescribers/contacts takes at once
+  const CONTACTS_BATCH = 500;
+
+  // Fetch the details for whichever of `records` lack them and fill them
+  // in, on the loaded record too so later copies have them
+  async function loadContacts(records) {
+    const missing = records.filter(needsContacts);
+    for (let i = 0; i < missing.length; i += CONTACTS_BATCH) {
+      const batch = missing.slice(i, i + CONTACTS_BATCH);
+      const res = await fetch("/api/prescribers/contacts", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ids: batch.map((p) => String(p.id)) }),
+      });
+      if (res.status === 401) return redirectToLogin(true);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const { contacts } = await res.json();
+      for (const p of batch) {
+        const found = contacts[p.id] || { email: null, phone: null, phoneE164: null };
+        Object.assign(p, found);
+        const loaded = prescribersById.get(String(p.id));
+        if (loaded && needsContacts(loaded)) Object.assign(loaded, found);
+      }
+    }
+  }
+
+  // -----------------------------------------------------------------------
+  // Filters
+  // -----------------------------------------------------------------------
+  // Every control narrows the same result set: zip radius, state, doctor
+  // name and the facet checkboxes all combine rather than resetting each
+  // other. Within a facet, checked values are OR'd (AND for "all" facets).
+  const NOT_SET = "Not specified";
+
+  const FACETS = [
+    {
+      key: "specialty",
+      label: "Specialty",
+      values: (p) => [p.specialty || p.prescriberType || NOT_SET],
+    },
+    {
+      key: "practiceType",
+      label: "Practice Type",
+      values: (p) => [p.practiceType || NOT_SET],
+    },
+    {
+      key: "verified",
+      label: "Google match",
+      order: ["Verified", "Unverified"],
+      values: (p) => [p.verified ? "Verified" : "Unverified"],
+    },
+    {
+      key: "contact",
+      label: "Contact",
+      match: "all",
+      order: ["Has phone", "Has email"],
+      values: (p) => [hasPhone(p) && "Has phone", hasEmail(p) && "Has email"].filter(Boolean),
+    },
+  ];
+
+  const filters = {
+    name: "",
+    state: "",
+    facets: Object.fromEntries(FACETS.map((f) => [f.key, new Set()])),
+  };
+
+  // Active location search: { place (see locate), mode, radius (miles,
+  // minutes, or how many nearest), requested (the radius asked for, less
+  // when it was widened), minResults, routing, prescribers (with
+  // distances) }, or null to start from everyone
+  let radiusSearch = null;
+
+  // Internal addresses aren't shown or counted as a way to reach a doctor
+  function hasEmail(p) {
+    return p.hasEmail ?? !!publicEmail(p);
+  }
+
+  function hasPhone(p) {
+    return p.hasPhone ?? !!p.phone;
+  }
+
+  function matchesFacet(facet, p, selected) {
+    if (selected.size === 0) return true;
+    const values = facet.values(p);
+    return facet.match === "all"
+      ? [...selected].every((v) => values.includes(v))
+      : values.some((v) => selected.has(v));
+  }
+
+  // Apply every filter except the facet named in `skip`
+  function filterPrescribers(skip = null, base = radiusSearch ? radiusSearch.prescribers : allPrescribers) {
+    const named = filters.name ? doctorIndex.search(filters.name) : null;
+    return base.filter((p) => {
+      if (filters.state && normalizeState(p.address?.state) !== filters.state) return false;
+      if (named && !named.has(String(p.id))) return false;
+      return FACETS.every(
+        (f) => f.key === skip || matchesFacet(f, p, filters.facets[f.key])
+      );
+    });
+  }
+
+  function isFiltering() {
+    return !!(
+      radiusSearch ||
+      filters.state ||
+      filters.name ||
+      FACETS.some((f) => filters.facets[f.key].size > 0)
     );
   }
 
+  function renderFacets() {
+    const panel = document.getElementById("filter-panel");
+    panel.innerHTML = FACETS.map((facet) => {
+      const counts = new Map();
+      for (const p of allPrescribers) {
+        for (const v of facet.values(p)) counts.set(v, (counts.get(v) || 0) + 1);
+      }
+      const options = facet.order
+        ? facet.order
+        : [...counts.keys()].sort((a, b) =>
+            a === NOT_SET ? 1 : b === NOT_SET ? -1 : counts.get(b) - counts.get(a)
+          );
+      return `
+        <fieldset class="facet">
+          <legend>${esc(facet.label)}</legend>
+          ${options
+            .map(
+              (v) => `
+            <label class="facet-option">
+              <input type="checkbox" data-facet="${facet.key}" value="${esc(v)}" />
+              ${esc(v)} <span class="facet-count"></span>
+            </label>`
+            )
+            .join("")}
+        </fieldset>`;
+    }).join("");
+
+    panel.addEventListener("change", (e) => {
+      const box = e.target.closest("input[data-facet]");
+      if (!box) return;
+      const selected = filters.facets[box.dataset.facet];
+      if (box.checked) selected.add(box.value);
+      else selected.delete(box.value);
+      applyFilters();
+      syncUrl("push");
+    });
+  }
+
+  // Live counts: how many results each value would give, given every
+  // other active filter
+  function updateFacetCounts() {
+    const cap = radiusSearch?.mode === "nearest" ? radiusSearch.radius : Infinity;
+    for (const facet of FACETS) {
+      const counts = new Map();
+      for (const p of filterPrescribers(facet.key)) {
+        for (const v of facet.values(p)) counts.set(v, (counts.get(v) || 0) + 1);
+      }
+      document.querySelectorAll(`input[data-facet="${facet.key}"]`).forEach((box) => {
+        const count = Math.min(counts.get(box.value) || 0, cap);
+        const label = box.closest(".facet-option");
+        label.querySelector(".facet-count").textContent = `(${count})`;
+        label.classList.toggle("empty", count === 0 && !box.checked);
+      });
+    }
+  }
+
+  // Re-run every filter and redraw
+  function applyFilters() {
+    let results = filterPrescribers();
+    if (radiusSearch?.mode === "nearest") {
+      // The filters pick from everyone in reach; the nearest N of those show
+      results = results.slice(0, radiusSearch.radius);
+      searchCircle.setRadius(farthestMiles(results) * METERS_PER_MILE);
+    }
+    showPrescribers(results);
+    updateFacetCounts();
+    updateCoverage();
+    renderSearchRange(results);
+
+    const countEl = document.getElementById("result-count");
+    const n = `${results.length} prescriber${results.length !== 1 ? "s" : ""}`;
+    if (radiusSearch) {
+      countEl.textContent = `${n} ${searchPhrase(radiusSearch, results)}${filters.state ? " in " + filters.state : ""}`;
+    } else if (isFiltering()) {
+      countEl.textContent = `${n}${filters.state ? " in " + filters.state : ""}`;
+    } else {
+      countEl.textContent = "";
+    }
+
+    return results;
+  }
+
+  // Frame the zip search circle, or else the filtered results
+  function fitToResults(results) {
+    if (searchCircle) {
+      map.fitBounds(searchCircle.getBounds(), { padding: [20, 20] });
+      return;
+    }
+    const withCoords = results.filter((p) => p.lat && p.lng);
+    if (isFiltering() && withCoords.length > 0) {
+      const bounds = L.latLngBounds(withCoords.map((p) => [p.lat, p.lng]));
+      map.fitBounds(bounds, { padding: [30, 30], maxZoom: 12 });
+    } else {
+      map.setView([39.8, -98.5], 4);
+    }
+  }
+
   // -----------------------------------------------------------------------
-  // Doctor name search
+  // Doctor search
   // -----------------------------------------------------------------------
+  // Fuzzy, across name, organization, health system, city and NPI (see
+  // doctor-search.js). The dropdown is an ARIA combobox: the arrow keys
+  // move through the matches, Enter picks one and Escape closes it.
+  const MAX_DOCTOR_RESULTS = 20;
+  let doctorMatches = []; // [{ p, match }] in the dropdown, best first
+  let activeDoctor = -1; // index of the highlighted option
+
   function initDoctorSearch() {
     const input = document.getElementById("doctor-search");
     const resultsEl = document.getElementById("doctor-results");
 
     input.addEventListener("input", () => {
-      const query = input.value.trim().toLowerCase();
-      if (query.length < 2) {
-        resultsEl.classList.add("hidden");
-        return;
+      const query = input.value.trim();
+      // The typed text also filters the map and list, alongside the others
+      const nameFilter = query.length >= 2 ? query : "";
+      if (nameFilter !== filters.name) {
+        filters.name = nameFilter;
+        applyFilters();
+        syncUrl("replace");
       }
+      if (nameFilter) renderDoctorResults();
+      else closeDoctorResults();
+    });
 
-      const matches = allPrescribers
-        .filter((p) => p.name && p.name.toLowerCase().includes(query))
-        .slice(0, 20);
-
-      if (matches.length === 0) {
-        resultsEl.innerHTML = '<div class="no-results">No doctors found</div>';
-      } else {
-        resultsEl.innerHTML = matches
-          .map(
-            (p, i) => `
-          <div class="doctor-result-item" data-index="${i}">
-            <div class="dr-name">${esc(p.name)}${p.specialty ? " <span class='badge badge-specialty'>" + esc(p.specialty) + "</span>" : ""}</div>
-            <div class="dr-detail">${esc(p.organization || "")}${p.address?.city ? " — " + esc(p.address.city) + ", " + esc(p.address.state || "") : ""}</div>
-          </div>`
-          )
-          .join("");
-
-        resultsEl.querySelectorAll(".doctor-result-item").forEach((item, i) => {
-          item.addEventListener("click", () => {
-            selectDoctor(matches[i]);
-            resultsEl.classList.add("hidden");
-            input.value = matches[i].name;
-          });
-        });
+    input.addEventListener("keydown", (e) => {
+      const open = !resultsEl.classList.contains("hidden");
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        if (!open) {
+          if (filters.name) renderDoctorResults();
+          return;
+        }
+        const n = doctorMatches.length;
+        if (!n) return;
+        const down = e.key === "ArrowDown";
+        setActiveDoctor(activeDoctor < 0 ? (down ? 0 : n - 1) : (activeDoctor + (down ? 1 : n - 1)) % n);
+      } else if (e.key === "Enter" && open && activeDoctor >= 0) {
+        e.preventDefault();
+        pickDoctor(activeDoctor);
+      } else if (e.key === "Escape" && open) {
+        e.preventDefault();
+        closeDoctorResults();
       }
+    });
 
-      resultsEl.classList.remove("hidden");
+    resultsEl.addEventListener("click", (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) pickDoctor(Number(option.dataset.index));
+    });
+    resultsEl.addEventListener("mousemove", (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option && Number(option.dataset.index) !== activeDoctor) setActiveDoctor(Number(option.dataset.index));
     });
 
     // Close dropdown when clicking outside
     document.addEventListener("click", (e) => {
-      if (!e.target.closest(".doctor-search-wrapper")) {
-        resultsEl.classList.add("hidden");
-      }
+      if (!e.target.closest(".doctor-search-wrapper")) closeDoctorResults();
     });
 
     // Re-open on focus if there's a query
     input.addEventListener("focus", () => {
-      if (input.value.trim().length >= 2) {
-        input.dispatchEvent(new Event("input"));
-      }
+      if (filters.name) renderDoctorResults();
     });
   }
 
+  // The best matches among the filtered results
+  function renderDoctorResults() {
+    const resultsEl = document.getElementById("doctor-results");
+    const found = doctorIndex.search(filters.name);
+    const all = filterPrescribers()
+      .map((p) => ({ p, match: found.get(String(p.id)) }))
+      .sort((a, b) => b.match.score - a.match.score || (a.p.name || "").localeCompare(b.p.name || ""));
+    doctorMatches = all.slice(0, MAX_DOCTOR_RESULTS);
+    activeDoctor = -1;
+
+    if (doctorMatches.length === 0) {
+      resultsEl.innerHTML = '<div class="no-results">No doctors found</div>';
+    } else {
+      resultsEl.innerHTML =
+        doctorMatches.map(({ p, match }, i) => doctorOption(p, match.marks, i)).join("") +
+        (all.length > doctorMatches.length
+          ? `<div class="dr-more">Showing the best ${doctorMatches.length} of ${all.length} — keep typing to narrow</div>`
+          : "");
+    }
+
+    resultsEl.classList.remove("hidden");
+    const input = document.getElementById("doctor-search");
+    input.setAttribute("aria-expanded", "true");
+    input.removeAttribute("aria-activedescendant");
+    document.getElementById("doctor-status").textContent = all.length
+      ? `${all.length} doctor${all.length !== 1 ? "s" : ""} found. Use the up and down arrows to choose.`
+      : "No doctors found.";
+  }
+
+  function doctorOption(p, marks, i) {
+    const where = p.address?.city
+      ? `${highlight(p.address.city, marks.city, esc)}, ${esc(p.address.state || "")}`
+      : "";
+    const detail = [
+      p.organization && highlight(p.organization, marks.organization, esc),
+      marks.healthSystem && highlight(p.healthSystem, marks.healthSystem, esc),
+      where,
+      marks.npi && `NPI ${highlight(p.npi, marks.npi, esc)}`,
+    ].filter(Boolean);
+    return `
+          <div class="doctor-result-item" role="option" id="doctor-option-${i}" data-index="${i}" aria-selected="false">
+            <div class="dr-name">${highlight(p.name, marks.name, esc)}${p.specialty ? " <span class='badge badge-specialty'>" + esc(p.specialty) + "</span>" : ""}</div>
+            <div class="dr-detail">${detail.join(" — ")}</div>
+          </div>`;
+  }
+
+  function setActiveDoctor(index) {
+    activeDoctor = index;
+    document.querySelectorAll("#doctor-results [role='option']").forEach((el, i) => {
+      el.classList.toggle("active", i === index);
+      el.setAttribute("aria-selected", String(i === index));
+      if (i === index) el.scrollIntoView({ block: "nearest" });
+    });
+    document.getElementById("doctor-search").setAttribute("aria-activedescendant", `doctor-option-${index}`);
+  }
+
+  function closeDoctorResults() {
+    doctorMatches = [];
+    activeDoctor = -1;
+    document.getElementById("doctor-results").classList.add("hidden");
+    const input = document.getElementById("doctor-search");
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
+  }
+
+  function pickDoctor(index) {
+    const { p } = doctorMatches[index];
+    closeDoctorResults();
+    selectDoctor(p);
+  }
+
   function selectDoctor(p) {
     if (!p.lat || !p.lng) {
       alert("This doctor does not have a mapped location.");
       return;
     }
 
-    // Clear other filters
-    document.getElementById("zip-input").value = "";
-    document.getElementById("state-filter").value = "";
-    searchLat = null;
-    searchLng = null;
-    if (searchCircle) {
-      map.removeLayer(searchCircle);
-      searchCircle = null;
-    }
-
-    // Show all prescribers on map but zoom to the selected one
-    showPrescribers(allPrescribers);
+    // Narrow the name filter to this doctor; zip, state and facets stay
+    document.getElementById("doctor-search").value = p.name;
+    filters.name = p.name;
+    applyFilters();
+    selectedId = shownMarker(p.id) ? String(p.id) : null;
+    syncUrl("push");
     map.setView([p.lat, p.lng], 15);
-
-    // Open the popup for this doctor's marker
-    setTimeout(() => {
-      markerCluster.eachLayer((layer) => {
-        const ll = layer.getLatLng();
-        if (
-          Math.abs(ll.lat - p.lat) < 0.0001 &&
-          Math.abs(ll.lng - p.lng) < 0.0001
-        ) {
-          layer.openPopup();
-        }
-      });
-    }, 300);
+    openPrescriberPopup(p.id);
 
     document.getElementById("result-count").textContent = `Selected: ${p.name}`;
   }
 
+  // Open a prescriber's popup, unclustering its marker if needed
+  // (a practice popup scrolls to and highlights them)
+  function openPrescriberPopup(id) {
+    const marker = shownMarker(id);
+    if (!marker) return false;
+    if (marker.isPopupOpen()) {
+      focusPopupMember(id);
+      selectPrescriber(id);
+      return true;
+    }
+    popupFocusId = String(id);
+    markerCluster.zoomToShowLayer(marker, () => {
+      marker.openPopup();
+      focusPopupMember(id);
+    });
+    return true;
+  }
+
+  function focusPopupMember(id) {
+    const popup = document.querySelector(".leaflet-popup .practice-popup");
+    if (!popup) return;
+    popup.querySelectorAll(".practice-member").forEach((el) => {
+      const focused = el.dataset.memberId === String(id);
+      el.classList.toggle("focused", focused);
+      if (focused) el.scrollIntoView({ block: "nearest" });
+    });
+  }
+
   function bindEvents() {
     document.getElementById("search-btn").addEventListener("click", doSearch);
     document.getElementById("clear-btn").addEventListener("click", clearSearch);
-    document.getElementById("zip-input").addEventListener("keydown", (e) => {
-      if (e.key === "Enter") doSearch();
+    document.getElementById("mode-select").addEventListener("change", (e) => {
+      setSearchMode(e.target.value, null, parseInt(document.getElementById("expand-select").value, 10));
+    });
+    document.getElementById("state-filter").addEventListener("change", (e) => {
+      filters.state = e.target.value;
+      const results = applyFilters();
+      // Record the change before the map moves, so panning updates this entry
+      syncUrl("push");
+      if (!radiusSearch) fitToResults(results);
+    });
+    document.getElementById("coverage-btn").addEventListener("click", () => {
+      setCoverage(coverage ? null : DEFAULT_COVERAGE_THRESHOLD);
+      syncUrl("push");
+    });
+    document.getElementById("coverage-threshold").addEventListener("change", (e) => {
+      setCoverage(parseInt(e.target.value, 10));
+      syncUrl("push");
     });
-    document.getElementById("state-filter").addEventListener("change", applyStateFilter);
+    document.getElementById("coverage-gaps").addEventListener("click", (e) => {
+      const row = e.target.closest("tr[data-zip]");
+      if (row) map.setView([Number(row.dataset.lat), Number(row.dataset.lng)], 8);
+    });
+    document.getElementById("export-csv").addEventListener("click", exportCsv);
+    document.getElementById("export-vcard").addEventListener("click", exportVCards);
+    document.getElementById("export-print").addEventListener("click", exportPrint);
+    document.getElementById("clear-filters-btn").addEventListener("click", () => {
+      clearFacets();
+      syncUrl("push");
+    });
+    map.on("moveend", syncUrlView);
+    window.addEventListener("popstate", () => applyUrlState(readUrlState()));
     initDoctorSearch();
+    initLocationSearch();
+    initList();
   }
 
-  function applyStateFilter() {
-    const state = document.getElementById("state-filter").value;
-    const filtered = getFilteredPrescribers();
-
-    // Clear any active zip search
-    searchLat = null;
-    searchLng = null;
-    if (searchCircle) {
-      map.removeLayer(searchCircle);
-      searchCircle = null;
-    }
-    document.getElementById("result-count").textContent = state
-      ? `${filtered.length} prescriber${filtered.length !== 1 ? "s" : ""} in ${state}`
-      : "";
-
-    showPrescribers(filtered, !!state);
+  function clearFacets() {
+    setFacets({});
+    applyFilters();
+  }
 
-    // Zoom to fit the filtered markers
-    if (state) {
-      const withCoords = filtered.filter((p) => p.lat && p.lng);
-      if (withCoords.length > 0) {
-        const bounds = L.latLngBounds(withCoords.map((p) => [p.lat, p.lng]));
-        map.fitBounds(bounds, { padding: [30, 30] });
-      }
-    } else {
-      map.setView([39.8, -98.5], 4);
+  function setFacets(values) {
+    for (const facet of FACETS) {
+      filters.facets[facet.key] = new Set(values[facet.key] || []);
     }
+    document.querySelectorAll("input[data-facet]").forEach((box) => {
+      box.checked = filters.facets[box.dataset.facet].has(box.value);
+    });
   }
 
   // -----------------------------------------------------------------------
   // Search
   // -----------------------------------------------------------------------
   async function doSearch() {
-    const zip = document.getElementById("zip-input").value.trim();
-    if (!/^\d{5}$/.test(zip)) {
-      alert("Please enter a valid 5-digit zip code.");
+    hideLocationChoices();
+    const text = document.getElementById("location-input").value.trim();
+    if (!text) {
+      alert("Enter the patient's zip code, city or address.");
       return;
     }
 
-    const radiusMiles = parseInt(
+    // Same place again (e.g. with a new range): don't look it up again
+    if (radiusSearch && text === inputText(radiusSearch.place)) {
+      searchPlace(radiusSearch.place);
+      return;
+    }
+
+    const candidates = await locate(text);
+    if (candidates === false) return;
+    if (!candidates.length) {
+      alert(`Could not find "${text}". Try a 5-digit zip code, "City, ST" or a street address with its zip.`);
+      return;
+    }
+    if (candidates.length > 1) {
+      showLocationChoices(candidates);
+      return;
+    }
+    searchPlace(candidates[0]);
+  }
+
+  // Search around a place with the chosen mode, range and minimum
+  async function searchPlace(place) {
+    document.getElementById("location-input").value = inputText(place);
+    const mode = document.getElementById("mode-select").value;
+    const radius = parseInt(
       document.getElementById("radius-select").value,
       10
     );
+    const minResults = parseInt(document.getElementById("expand-select").value, 10);
 
-    // Geocode the zip code using Nominatim
-    const geo = await geocodeZip(zip);
-    if (!geo) {
-      alert("Could not find location for zip code: " + zip);
-      return;
+    if (await searchNear(place, mode, radius, minResults)) {
+      syncUrl("push");
+      fitToResults();
+    }
+  }
+
+  // Range choices per search mode: miles, minutes of driving, or how many
+  // of the nearest prescribers to show
+  const SEARCH_MODES = {
+    distance: { options: [10, 25, 50, 100, 250], default: 25, label: (n) => `${n} miles` },
+    drive: { options: [15, 30, 45, 60, 90], default: 30, label: (n) => `${n} min drive` },
+    nearest: { options: [5, 10, 20, 50], default: 10, label: (n) => `${n} nearest` },
+  };
+  // Minimum result counts the range can be widened to reach (0: don't)
+  const MIN_RESULT_OPTIONS = [0, 1, 3, 5, 10];
+  // How far a nearest-N search reaches (the server's maximum radius)
+  const NEAREST_MAX_MILES = 500;
+  const METERS_PER_MILE = 1609.34;
+
+  function setSearchMode(mode, radius = null, minResults = 0) {
+    const config = SEARCH_MODES[mode] || SEARCH_MODES.distance;
+    document.getElementById("mode-select").value = mode in SEARCH_MODES ? mode : "distance";
+    const select = document.getElementById("radius-select");
+    select.innerHTML = config.options
+      .map((n) => `<option value="${n}">${config.label(n)}</option>`)
+      .join("");
+    select.value = String(config.options.includes(radius) ? radius : config.default);
+    document.querySelector('label[for="radius-select"]').textContent = mode === "nearest" ? "Show" : "Within";
+    // Nearest-N always finds some, so there's nothing to widen
+    document.getElementById("expand-group").classList.toggle("hidden", mode === "nearest");
+    document.getElementById("expand-select").value = String(
+      MIN_RESULT_OPTIONS.includes(minResults) ? minResults : 0
+    );
+  }
+
+  function searchRangeLabel(search) {
+    if (search.mode === "nearest") return `${search.radius} nearest`;
+    if (search.mode !== "drive") return `${search.radius} mi`;
+    return `${search.radius} min drive${search.routing === "estimate" ? " (estimated)" : ""}`;
+  }
+
+  // How the search reads after a count or "Prescribers": "within 25 mi of
+  // 07030", "within 100 mi of 07030 (widened from 25 mi)", "nearest to
+  // 07030, up to 37.2 mi away"
+  function searchPhrase(search, results) {
+    const place = placeName(search.place);
+    if (search.mode === "nearest") {
+      return `nearest to ${place}${results.length ? `, up to ${farthestMiles(results).toFixed(1)} mi away` : ""}`;
     }
+    const widened =
+      search.radius !== search.requested
+        ? ` (widened from ${requestedRangeLabel(search)})`
+        : "";
+    return `within ${searchRangeLabel(search)} of ${place}${widened}`;
+  }
 
-    searchLat = geo.lat;
-    searchLng = geo.lng;
+  function requestedRangeLabel(search) {
+    return searchRangeLabel({ ...search, radius: search.requested, routing: null });
+  }
 
-    // Filter prescribers within radius (respect state filter if set)
-    const base = getFilteredPrescribers();
-    const nearby = base
-      .filter((p) => p.lat && p.lng)
-      .map((p) => ({
-        ...p,
-        distance: haversine(searchLat, searchLng, p.lat, p.lng),
-      }))
-      .filter((p) => p.distance <= radiusMiles)
-      .sort((a, b) => a.distance - b.distance);
+  // Results are nearest first
+  function farthestMiles(results) {
+    return results.length ? results[results.length - 1].distance : NEAREST_MAX_MILES;
+  }
 
-    showPrescribers(nearby, true);
+  // Above the list: why the range differs from what was asked for
+  function renderSearchRange(results) {
+    const el = document.getElementById("list-range");
+    const search = radiusSearch;
+    let text = "";
+    if (search?.mode === "nearest") {
+      const where = placeName(search.place);
+      const n = results.length;
+      if (!n) text = `No prescribers within ${NEAREST_MAX_MILES} mi of ${where}.`;
+      else if (n < search.radius) text = `Only ${n} within ${NEAREST_MAX_MILES} mi of ${where}, the farthest ${farthestMiles(results).toFixed(1)} mi away.`;
+      else text = `The ${n} nearest to ${where}, up to ${farthestMiles(results).toFixed(1)} mi away.`;
+    } else if (search && search.radius !== search.requested) {
+      text = `Fewer than ${search.minResults} within ${requestedRangeLabel(search)}, so the search was widened to ${searchRangeLabel(search)}.`;
+      if (results.length < search.minResults) text += " That's the widest range.";
+    }
+    el.textContent = text;
+    el.classList.toggle("hidden", !text);
+  }
 
-    // Draw search radius circle
-    if (searchCircle) map.removeLayer(searchCircle);
-    searchCircle = L.circle([searchLat, searchLng], {
-      radius: radiusMiles * 1609.34, // miles to meters
+  // Run a search around a place (by miles, drive minutes or nearest N) and
+  // draw it. With `minResults`, the range is widened through the mode's
+  // choices until the active filters leave at least that many. Returns
+  // false if it couldn't run.
+  async function searchNear(place, mode, radius, minResults = 0) {
+    const ranges =
+      mode === "nearest" || !minResults
+        ? [radius]
+        : [radius, ...SEARCH_MODES[mode].options.filter((n) => n > radius)];
+    let result, used;
+    for (const range of ranges) {
+      result = await fetchNear(place, mode, range);
+      if (!result) return false;
+      used = range;
+      if (filterPrescribers(null, result.prescribers).length >= minResults) break;
+    }
+
+    searchLat = place.lat;
+    searchLng = place.lng;
+    if (place.kind === "address" || place.kind === "here") recentPlaces.set(pointKey(place), place);
+    // State, name and facet filters are applied on top of these
+    radiusSearch = {
+      place,
+      mode,
+      radius: used,
+      requested: radius,
+      minResults: mode === "nearest" ? 0 : minResults,
+      routing: result.routing,
+      prescribers: result.prescribers,
+    };
+    clearSearchMarkers();
+
+    // Draw the search area: the routed drive-time outline when there is
+    // one, otherwise a circle (dashed when it's a drive-time estimate)
+    const areaStyle = {
       color: "#2980b9",
       fillColor: "#2980b9",
       fillOpacity: 0.06,
       weight: 2,
-    }).addTo(map);
+    };
+    if (result.area) {
+      searchCircle = L.polygon(result.area, areaStyle).addTo(map);
+    } else {
+      // A nearest-N circle is sized to the farthest result by applyFilters
+      const miles = mode === "drive" ? estimatedReachMiles(used) : mode === "nearest" ? 0 : used;
+      searchCircle = L.circle([searchLat, searchLng], {
+        ...areaStyle,
+        radius: miles * METERS_PER_MILE,
+        dashArray: mode === "drive" ? "6 6" : null,
+      }).addTo(map);
+    }
 
-    // Add a marker for the searched zip
-    L.marker([searchLat, searchLng], {
+    // Add a marker for the searched place; a street address is only in
+    // its popup, so it doesn't sprawl across the map
+    const pinLabel = place.kind === "zip" || place.kind === "city" ? `Patient: ${place.label}` : "Patient";
+    const approx = place.kind === "address" && place.precision !== "street" ? " (zip code center)" : "";
+    searchMarker = L.marker([searchLat, searchLng], {
       icon: L.divIcon({
         className: "zip-marker",
-        html: '<div style="background:#e74c3c;color:white;padding:3px 8px;border-radius:4px;font-size:12px;font-weight:600;white-space:nowrap;">Patient: ' + zip + "</div>",
+        html: '<div style="background:#e74c3c;color:white;padding:3px 8px;border-radius:4px;font-size:12px;font-weight:600;white-space:nowrap;">' + esc(pinLabel) + "</div>",
         iconSize: [80, 24],
         iconAnchor: [40, 12],
       }),
     })
       .addTo(map)
-      .bindPopup(`<b>Patient Location</b><br>Zip: ${zip}`);
+      .bindPopup(`<b>Patient Location</b><br>${esc(placeName(place))}${approx}`);
+
+    syncShortlistZip(place);
+    applyFilters();
+    return true;
+  }
 
-    // Fit map to circle bounds
-    map.fitBounds(searchCircle.getBounds(), { padding: [20, 20] });
+  // The shortlist is for one patient, so its zip follows the search: filled
+  // in if it's empty, and after asking if the search moved somewhere else
+  function syncShortlistZip(place) {
+    const { patientZip, items } = shortlist.list;
+    if (restoringUrl || !items.length || !place.zip || place.zip === patientZip) return;
+    if (!patientZip || confirm(`Change the shortlist's patient zip from ${patientZip} to ${place.zip}?`)) {
+      shortlist.setPatientZip(place.zip);
+    }
+  }
 
-    document.getElementById("result-count").textContent =
-      `${nearby.length} prescriber${nearby.length !== 1 ? "s" : ""} within ${radiusMiles} mi of ${zip}`;
+  // Everyone within range, nearest first; a nearest-N search fetches all
+  // within NEAREST_MAX_MILES and applyFilters picks the N
+  async function fetchNear(place, mode, radius) {
+    const [fetchMode, range] = mode === "nearest" ? ["distance", NEAREST_MAX_MILES] : [mode, radius];
+    let result = searchApi ? await searchNearApi(place, fetchMode, range) : undefined;
+    if (result === undefined) result = searchNearLocal(place, fetchMode, range);
+    return result;
   }
 
-  function clearSearch() {
-    searchLat = null;
-    searchLng = null;
+  // Ask the server (see server.js). Returns false after redirecting to
+  // login, or undefined if the API failed so the caller falls back to
+  // local search.
+  async function searchNearApi(place, mode, radius) {
+    const params = new URLSearchParams({ lat: place.lat, lng: place.lng, mode, limit: 500 });
+    params.set(mode === "drive" ? "minutes" : "radius", radius);
+    try {
+      const res = await fetch(`/api/prescribers/near?${params}`);
+      if (res.status === 401) {
+        redirectToLogin(true);
+        return false;
+      }
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      if (data.total > data.prescribers.length) {
+        console.warn(`Showing the nearest ${data.prescribers.length} of ${data.total} prescribers`);
+      }
+      // Drive times from the distance estimate are shown as approximate
+      const estimated = data.routing === "estimate";
+      return {
+        routing: data.routing || null,
+        area: estimated ? null : data.area,
+        prescribers: estimated
+          ? data.prescribers.map((p) => ({ ...p, driveEstimated: true }))
+          : data.prescribers,
+      };
+    } catch (e) {
+      console.error("Search API failed, searching locally:", e);
+      return undefined;
+    }
+  }
+
+  // Static mode: measure every loaded prescriber. Drive times can only be
+  // estimated.
+  function searchNearLocal(geo, mode, radius) {
+    const measured = allPrescribers
+      .filter((p) => p.lat && p.lng)
+      .map((p) => ({
+        ...p,
+        distance: haversine(geo.lat, geo.lng, p.lat, p.lng),
+      }));
+
+    if (mode === "drive") {
+      const prescribers = measured
+        .map((p) => {
+          const drive = estimateDrive(p.distance);
+          return { ...p, driveMinutes: drive.minutes, driveMiles: drive.miles, driveEstimated: true };
+        })
+        .filter((p) => p.driveMinutes <= radius)
+        .sort((a, b) => a.driveMinutes - b.driveMinutes);
+      return { routing: "estimate", prescribers };
+    }
+
+    const prescribers = measured
+      .filter((p) => p.distance <= radius)
+      .sort((a, b) => a.distance - b.distance);
+    return { prescribers };
+  }
+
+  function clearSearchMarkers() {
     if (searchCircle) {
       map.removeLayer(searchCircle);
       searchCircle = null;
     }
-    document.getElementById("zip-input").value = "";
+    if (searchMarker) {
+      map.removeLayer(searchMarker);
+      searchMarker = null;
+    }
+  }
+
+  function clearSearch() {
+    searchLat = null;
+    searchLng = null;
+    radiusSearch = null;
+    clearSearchMarkers();
+    document.getElementById("location-input").value = "";
+    hideLocationChoices();
     document.getElementById("state-filter").value = "";
-    document.getElementById("result-count").textContent = "";
-    showPrescribers(allPrescribers);
+    document.getElementById("doctor-search").value = "";
+    filters.state = "";
+    filters.name = "";
+    clearFacets();
+    syncUrl("push");
     map.setView([39.8, -98.5], 4);
   }
 
   // -----------------------------------------------------------------------
-  // Display
+  // Patient location
+  // -----------------------------------------------------------------------
+  // A place is { kind, label, lat, lng, precision, zip? } (see
+  // shared/locations.js), where kind is "zip", "city", "address", "here"
+  // (the browser's position) or "point" (a location from a shared link).
+  let locationChoices = [];
+  const recentPlaces = new Map(); // addresses and positions by pointKey, for back/forward
+
+  function initLocationSearch() {
+    const input = document.getElementById("location-input");
+    const choices = document.getElementById("location-choices");
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") doSearch();
+      if (e.key === "Escape") hideLocationChoices();
+    });
+    choices.addEventListener("click", (e) => {
+      const item = e.target.closest(".location-choice");
+      if (!item) return;
+      const place = locationChoices[Number(item.dataset.index)];
+      hideLocationChoices();
+      searchPlace(place);
+    });
+    choices.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        hideLocationChoices();
+        input.focus();
+      }
+    });
+    document.addEventListener("click", (e) => {
+      if (!e.target.closest(".location-search-wrapper")) hideLocationChoices();
+    });
+    document.getElementById("locate-btn").addEventListener("click", searchCurrentLocation);
+  }
+
+  // Resolve a search box entry to candidate places: by the server when
+  // there is one (it can also geocode street addresses), else from the
+  // offline tables. Returns false after redirecting to login.
+  async function locate(text) {
+    if (searchApi) {
+      const candidates = await locateApi(text);
+      if (candidates !== undefined) return candidates;
+    }
+    const query = parseLocationQuery(text, normalizeState);
+    if (!query) return [];
+    return resolveLocation(query, {
+      zips: await loadZipCentroids(),
+      places: await loadPlaceIndex(),
+    });
+  }
+
+  async function locateApi(text) {
+    try {
+      const res = await fetch(`/api/locate?${new URLSearchParams({ q: text })}`);
+      if (res.status === 401) {
+        redirectToLogin(true);
+        return false;
+      }
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return (await res.json()).candidates;
+    } catch (e) {
+      console.error("Location API failed, looking up locally:", e);
+      return undefined;
+    }
+  }
+
+  // A town name matched several places: let the ambassador pick one
+  function showLocationChoices(candidates) {
+    locationChoices = candidates;
+    const el = document.getElementById("location-choices");
+    el.innerHTML =
+      `<div class="location-choices-title">${candidates.length} places match — which one?</div>` +
+      candidates
+        .map((c, i) => `<button type="button" class="location-choice" data-index="${i}">${esc(c.label)}</button>`)
+        .join("");
+    el.classList.remove("hidden");
+    el.querySelector(".location-choice").focus();
+  }
+
+  function hideLocationChoices() {
+    locationChoices = [];
+    document.getElementById("location-choices").classList.add("hidden");
+  }
+
+  function searchCurrentLocation() {
+    if (!navigator.geolocation) {
+      alert("This browser can't share its location. Enter a zip code, city or address instead.");
+      return;
+    }
+    const button = document.getElementById("locate-btn");
+    button.disabled = true;
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        button.disabled = false;
+        const { latitude, longitude } = position.coords;
+        searchPlace({ kind: "here", label: "your location", lat: latitude, lng: longitude, precision: "street" });
+      },
+      (err) => {
+        button.disabled = false;
+        alert(
+          err.code === err.PERMISSION_DENIED
+            ? "Location access is blocked for this site. Allow it in the browser, or enter a zip code, city or address."
+            : "Could not get your current location. Enter a zip code, city or address instead."
+        );
+      },
+      { timeout: 15000, maximumAge: 5 * 60 * 1000 }
+    );
+  }
+
+  // What the search box shows for a place
+  function inputText(place) {
+    if (place.kind === "here") return "Current location";
+    if (place.kind === "point") return "Shared location";
+    return place.label;
+  }
+
+  // The place in sentences: "within 25 mi of Hoboken, NJ"
+  function placeName(place) {
+    return place.kind === "point" ? "the shared location" : place.label;
+  }
+
+  // Street addresses and positions go in the URL only as a point rounded
+  // to about 100 m, not as the patient's address
+  function pointKey(place) {
+    return `${place.lat.toFixed(3)},${place.lng.toFixed(3)}`;
+  }
+
+  // -----------------------------------------------------------------------
+  // URL state
   // -----------------------------------------------------------------------
-  function showPrescribers(prescribers, isFiltered = false) {
-    markerCluster.clearLayers();
+  // The search lives in the query string so it can be bookmarked or sent to
+  // a colleague, e.g. ?zip=07030&radius=50&state=NJ&specialty=OD&id=1011
+  // (with mode=drive, radius is in minutes; with mode=nearest, a count;
+  // expand=5 widens it to find 5; a town is near=Hoboken, NJ&at=
+  // 40.745,-74.028, and an address or current location just at=…)
+  // &gaps=50 (coverage view) &view=40.745,-74.028,11. Searches and filter changes add a history
+  // entry; typing and panning just update the current one.
+  let restoringUrl = false;
+
+  function readUrlState() {
+    const params = new URLSearchParams(location.search);
+    const view = (params.get("view") || "").split(",").map(Number);
+    const at = (params.get("at") || "").split(",").map(Number);
+    const gaps = Number(params.get("gaps"));
+    return {
+      zip: /^\d{5}$/.test(params.get("zip") || "") ? params.get("zip") : null,
+      at: at.length === 2 && at.every((n) => Number.isFinite(n)) && params.get("at") ? at : null,
+      near: params.get("near") || null,
+      mode: params.get("mode") in SEARCH_MODES ? params.get("mode") : "distance",
+      radius: parseInt(params.get("radius"), 10) || null,
+      minResults: parseInt(params.get("expand"), 10) || 0,
+      state: normalizeState(params.get("state")) || "",
+      name: params.get("q") || "",
+      id: params.get("id"),
+      view: view.length === 3 && view.every((n) => Number.isFinite(n)) ? view : null,
+      gaps: COVERAGE_THRESHOLDS.includes(gaps) ? gaps : null,
+      facets: Object.fromEntries(FACETS.map((f) => [f.key, params.getAll(f.key)])),
+    };
+  }
 
-    // Remove previous zip markers
-    map.eachLayer((layer) => {
-      if (layer instanceof L.Marker && !(layer instanceof L.MarkerClusterGroup)) {
-        if (layer.options.icon?.options?.className === "zip-marker") return;
-        // Keep cluster markers
+  function syncUrl(mode) {
+    if (restoringUrl) return;
+    const params = new URLSearchParams();
+    if (radiusSearch) {
+      const { place } = radiusSearch;
+      if (place.kind === "zip") {
+        params.set("zip", place.zip);
+      } else {
+        if (place.kind === "city") params.set("near", place.label);
+        params.set("at", pointKey(place));
       }
+      if (radiusSearch.mode !== "distance") params.set("mode", radiusSearch.mode);
+      params.set("radius", radiusSearch.requested);
+      if (radiusSearch.minResults) params.set("expand", radiusSearch.minResults);
+    }
+    if (filters.state) params.set("state", filters.state);
+    if (filters.name) params.set("q", filters.name);
+    for (const facet of FACETS) {
+      for (const v of filters.facets[facet.key]) params.append(facet.key, v);
+    }
+    if (coverage) params.set("gaps", coverage.threshold);
+    if (selectedId) params.set("id", selectedId);
+    writeUrl(params, mode);
+  }
+
+  // Panning only updates the view of the current entry, so it can't record
+  // a search or filter change before that change pushes its own entry
+  function syncUrlView() {
+    if (restoringUrl) return;
+    writeUrl(new URLSearchParams(location.search), "replace");
+  }
+
+  function writeUrl(params, mode) {
+    const center = map.getCenter();
+    params.set("view", `${center.lat.toFixed(4)},${center.lng.toFixed(4)},${map.getZoom()}`);
+    const search = `?${params}`.replace(/%2C/g, ",");
+    if (search === location.search) return;
+    history[mode === "push" ? "pushState" : "replaceState"](null, "", search);
+  }
+
+  // The searched place in a URL: a zip to look up, a town, or a point
+  // (the address or position itself if it was searched this session)
+  async function urlPlace(state) {
+    if (state.zip) {
+      const candidates = await locate(state.zip);
+      return candidates ? candidates[0] || null : null;
+    }
+    if (!state.at) return null;
+    const [lat, lng] = state.at;
+    if (state.near) return { kind: "city", label: state.near, lat, lng, precision: "city" };
+    const point = { kind: "point", label: "Shared location", lat, lng, precision: "street" };
+    return recentPlaces.get(pointKey(point)) || point;
+  }
+
+  // Make the page match a URL (on load and on back/forward)
+  async function applyUrlState(state) {
+    restoringUrl = true;
+    try {
+      hideLocationChoices();
+      setSearchMode(state.mode, state.radius, state.minResults);
+      document.getElementById("state-filter").value = state.state;
+      document.getElementById("doctor-search").value = state.name;
+      filters.state = state.state;
+      filters.name = state.name.length >= 2 ? state.name : "";
+      setFacets(state.facets);
+      setCoverage(state.gaps);
+
+      const radius = parseInt(document.getElementById("radius-select").value, 10);
+      const place = await urlPlace(state);
+      document.getElementById("location-input").value = place ? inputText(place) : "";
+      let results;
+      const minResults = parseInt(document.getElementById("expand-select").value, 10);
+      if (!place || !(await searchNear(place, state.mode, radius, minResults))) {
+        radiusSearch = null;
+        searchLat = null;
+        searchLng = null;
+        clearSearchMarkers();
+        results = applyFilters();
+      }
+
+      if (state.view) map.setView([state.view[0], state.view[1]], state.view[2]);
+      else fitToResults(results);
+
+      map.closePopup();
+      // Set first so the popup opening (after any zoom) doesn't push again
+      selectedId = state.id && shownMarker(state.id) ? state.id : null;
+      if (selectedId) openPrescriberPopup(selectedId);
+    } finally {
+      restoringUrl = false;
+    }
+  }
+
+  // -----------------------------------------------------------------------
+  // Display
+  // -----------------------------------------------------------------------
+  // Prescribers at the same geocoded point and the same address (or, with
+  // no address, organization) are one practice and share a marker whose
+  // popup lists them all. Those pinned at a city center each keep their own:
+  // everyone in town lands on that point. Markers are made once per
+  // location and kept; a redraw only adds and removes the ones whose
+  // visibility changed.
+  function locationKey(p) {
+    const point = `${p.lat.toFixed(5)},${p.lng.toFixed(5)}`;
+    if (geoPrecision(p) === "city") return `${point}|#${p.id}`;
+    const practice = (p.address?.full || p.organization || "").toLowerCase().replace(/\s+/g, " ").trim();
+    return `${point}|${practice}`;
+  }
+
+  function markerFor(key, members) {
+    let marker = markersByKey.get(key);
+    if (!marker) {
+      const { lat, lng } = members[0];
+      marker = L.marker([lat, lng]);
+      marker.options.count = 0;
+      // Built on open from the shown records, so distances, the members
+      // and the shortlist buttons are current
+      marker.bindPopup(() => buildLocationPopup(shownByKey.get(key) || members), { maxWidth: 320 });
+      marker.on("popupopen", () => {
+        const here = shownByKey.get(key) || [];
+        const focus = here.find((p) => String(p.id) === popupFocusId) || (here.length === 1 ? here[0] : null);
+        popupFocusId = null;
+        selectPrescriber(focus ? focus.id : null);
+        if (here.some(needsContacts)) {
+          loadContacts(here)
+            .then(() => marker.isPopupOpen() && marker.getPopup().update())
+            .catch((e) => console.error("Could not load contact details:", e));
+        }
+      });
+      marker.on("popupclose", () => {
+        const here = shownByKey.get(key) || [];
+        if (!redrawing && here.some((p) => String(p.id) === selectedId)) selectPrescriber(null);
+      });
+      markersByKey.set(key, marker);
+    }
+
+    // Filters change how many prescribers a location shows
+    if (marker.options.count !== members.length) {
+      marker.options.count = members.length;
+      marker.options.title = members.length > 1 ? `${members.length} prescribers` : "";
+      marker.setIcon(locationIcon(members));
+    }
+    return marker;
+  }
+
+  function locationIcon(members) {
+    const approximate = members.every(isApproximate);
+    if (members.length === 1) return approximate ? APPROX_ICON : new L.Icon.Default();
+    return L.divIcon({
+      className: "practice-marker",
+      html: `<div class="practice-pin${approximate ? " approx" : ""}">${members.length}</div>`,
+      iconSize: [28, 28],
+      iconAnchor: [14, 14],
+      popupAnchor: [0, -12],
     });
+  }
+
+  // Clusters count prescribers, not practice markers
+  function clusterIcon(cluster) {
+    const n = cluster.getAllChildMarkers().reduce((sum, m) => sum + (m.options.count || 1), 0);
+    const size = n < 10 ? "small" : n < 100 ? "medium" : "large";
+    return L.divIcon({
+      html: `<div><span>${n}</span></div>`,
+      className: `marker-cluster marker-cluster-${size}`,
+      iconSize: L.point(40, 40),
+    });
+  }
 
+  // The marker showing a prescriber right now, if any
+  function shownMarker(id) {
+    const p = shownById.get(String(id));
+    return p && p.lat && p.lng ? markersByKey.get(locationKey(p)) || null : null;
+  }
+
+  function showPrescribers(prescribers) {
+    const previous = shownByKey;
+    shownById = new Map(prescribers.map((p) => [String(p.id), p]));
     const withCoords = prescribers.filter((p) => p.lat && p.lng);
+    shownByKey = new Map();
+    for (const p of withCoords) {
+      const key = locationKey(p);
+      if (!shownByKey.has(key)) shownByKey.set(key, []);
+      shownByKey.get(key).push(p);
+    }
 
-    withCoords.forEach((p) => {
-      const marker = L.marker([p.lat, p.lng]);
-      marker.bindPopup(buildPopup(p));
-      markerCluster.addLayer(marker);
-    });
+    const hide = [...previous.keys()]
+      .filter((key) => !shownByKey.has(key))
+      .map((key) => markersByKey.get(key));
+    const show = [...shownByKey]
+      .map(([key, members]) => markerFor(key, members))
+      .filter((marker) => !markerCluster.hasLayer(marker));
+    // Removing markers closes their popups; that isn't a deselection
+    redrawing = true;
+    markerCluster.removeLayers(hide);
+    redrawing = false;
+    markerCluster.addLayers(show);
+
+    document.getElementById("list-count").textContent =
+      `(${prescribers.length} total, ${withCoords.length} mapped)`;
+    listItems = prescribers;
+    document.getElementById("prescriber-list").scrollTop = 0;
+    renderList();
+  }
+
+  // -----------------------------------------------------------------------
+  // Result list
+  // -----------------------------------------------------------------------
+  // Virtualized: only the cards in view (plus a few either side) are in the
+  // DOM, so the list can hold every result. Cards have a fixed height.
+  const CARD_HEIGHT = 64; // px: .prescriber-card height + margin
+  const LIST_OVERSCAN = 6;
+  let listItems = [];
 
-    // Update list
+  function renderList() {
     const listEl = document.getElementById("prescriber-list");
-    const countEl = document.getElementById("list-count");
-    countEl.textContent = `(${prescribers.length} total, ${withCoords.length} mapped)`;
+    const first = Math.max(0, Math.floor(listEl.scrollTop / CARD_HEIGHT) - LIST_OVERSCAN);
+    const count = Math.ceil(listEl.clientHeight / CARD_HEIGHT) + 2 * LIST_OVERSCAN;
 
-    const displayList = isFiltered ? prescribers : prescribers.slice(0, 100);
-    listEl.innerHTML = displayList
-      .map(
-        (p) => `
-      <div class="prescriber-card" data-lat="${p.lat}" data-lng="${p.lng}">
+    document.getElementById("list-spacer").style.height = `${listItems.length * CARD_HEIGHT}px`;
+    const rows = document.getElementById("list-rows");
+    rows.style.transform = `translateY(${first * CARD_HEIGHT}px)`;
+    rows.innerHTML = listItems.slice(first, first + count).map(cardHtml).join("");
+  }
+
+  function cardHtml(p) {
+    const id = String(p.id);
+    return `
+      <div class="prescriber-card${id === selectedId ? " selected" : ""}${p.lat && p.lng ? "" : " unmapped"}" data-id="${esc(id)}">
         <div class="card-info">
           <h4>${esc(p.name)}${p.specialty ? " <span class='badge badge-specialty'>" + esc(p.specialty) + "</span>" : ""}</h4>
           <p>${esc(p.organization || "")}${p.address?.city ? " — " + esc(p.address.city) + ", " + esc(p.address.state || "") : ""}</p>
         </div>
-        ${p.distance != null ? '<div class="card-distance">' + p.distance.toFixed(1) + " mi</div>" : ""}
-      </div>`
-      )
-      .join("");
+        ${p.distance != null ? '<div class="card-distance">' + travelLabel(p) + "</div>" : ""}
+        ${p.lat && p.lng ? "" : '<div class="card-unmapped">Not mapped</div>'}
+        ${shortlistButton(p.id, "card")}
+      </div>`;
+  }
 
-    if (!isFiltered && prescribers.length > 100) {
-      listEl.innerHTML +=
-        '<p style="text-align:center;color:#888;font-size:12px;padding:8px;">Showing first 100. Search by zip to see all nearby.</p>';
-    }
-
-    // Click card to fly to marker
-    listEl.querySelectorAll(".prescriber-card").forEach((card) => {
-      card.addEventListener("click", () => {
-        const lat = parseFloat(card.dataset.lat);
-        const lng = parseFloat(card.dataset.lng);
-        if (lat && lng) {
-          map.setView([lat, lng], 14);
-          // Open popup for the closest marker
-          markerCluster.eachLayer((layer) => {
-            const ll = layer.getLatLng();
-            if (
-              Math.abs(ll.lat - lat) < 0.0001 &&
-              Math.abs(ll.lng - lng) < 0.0001
-            ) {
-              layer.openPopup();
-            }
-          });
-        }
+  // Bring the selected card into view (when it was picked on the map)
+  function revealSelectedCard() {
+    const listEl = document.getElementById("prescriber-list");
+    const index = selectedId ? listItems.findIndex((p) => String(p.id) === selectedId) : -1;
+    if (index !== -1) {
+      const top = index * CARD_HEIGHT;
+      if (top < listEl.scrollTop || top + CARD_HEIGHT > listEl.scrollTop + listEl.clientHeight) {
+        listEl.scrollTop = Math.max(0, top - CARD_HEIGHT);
+      }
+    }
+    renderList();
+  }
+
+  function initList() {
+    const listEl = document.getElementById("prescriber-list");
+    let pending = false;
+    const redraw = () => {
+      if (pending) return;
+      pending = true;
+      requestAnimationFrame(() => {
+        pending = false;
+        renderList();
       });
+    };
+    listEl.addEventListener("scroll", redraw);
+    window.addEventListener("resize", redraw);
+
+    // Click a card to fly to its marker
+    listEl.addEventListener("click", (e) => {
+      const card = e.target.closest(".prescriber-card");
+      if (!card || e.target.closest("[data-shortlist-id]")) return;
+      const p = shownById.get(card.dataset.id);
+      if (!p || !shownMarker(p.id)) return;
+      map.setView([p.lat, p.lng], Math.max(map.getZoom(), 14));
+      openPrescriberPopup(p.id);
     });
   }
 
+  let redrawing = false;
+
+  function selectPrescriber(id) {
+    const next = id == null ? null : String(id);
+    const changed = next !== selectedId;
+    selectedId = next;
+    syncUrl(changed && next ? "push" : "replace");
+    if (changed) revealSelectedCard();
+  }
+
+  // -----------------------------------------------------------------------
+  // Geocode precision
+  // -----------------------------------------------------------------------
+  const APPROX_ICON = L.divIcon({
+    className: "approx-marker",
+    html: '<div class="approx-pin">~</div>',
+    iconSize: [22, 22],
+    iconAnchor: [11, 11],
+    popupAnchor: [0, -10],
+  });
+
+  // "street", "zip", "city" or "none" (see fetch-prescribers.js)
+  function geoPrecision(p) {
+    if (p.geoPrecision) return p.geoPrecision;
+    if (!p.lat || !p.lng) return "none";
+    // Data generated before precision tracking: infer from the address
+    if (p.address?.street) return "street";
+    if (p.address?.zip) return "zip";
+    return "city";
+  }
+
+  function isApproximate(p) {
+    const precision = geoPrecision(p);
+    return precision === "zip" || precision === "city";
+  }
+
+  // Card badge: drive minutes in drive-time searches, miles otherwise;
+  // "~" when the pin or the drive time is approximate
+  function travelLabel(p) {
+    if (p.driveMinutes != null) {
+      return `${isApproximate(p) || p.driveEstimated ? "~" : ""}${Math.round(p.driveMinutes)} min`;
+    }
+    return `${isApproximate(p) ? "~" : ""}${p.distance.toFixed(1)} mi`;
+  }
+
   function buildPopup(p) {
     const lines = [];
     lines.push(`<div class="prescriber-popup">`);
@@ -465,81 +1448,542 @@
       lines.push(`<p class="detail">${esc(p.address.full)}</p>`);
     }
 
-    if (p.phone) {
-      lines.push(
-        `<p class="detail">Phone: <a href="tel:${esc(p.phone)}">${esc(p.phone)}</a></p>`
-      );
-    }
+    lines.push(approxNote(p));
 
-    if (p.email && !p.email.includes("@myeyes.net")) {
-      lines.push(
-        `<p class="detail">Email: <a href="mailto:${esc(p.email)}">${esc(p.email)}</a></p>`
-      );
-    }
+    lines.push(contactDetails(p));
+
+    lines.push(distanceLine(p));
 
-    if (p.npi) {
-      lines.push(`<p class="detail">NPI: ${esc(p.npi)}</p>`);
+    lines.push(verificationBadge(p));
+
+    lines.push(shortlistButton(p.id, "popup"));
+
+    lines.push(`</div>`);
+    return lines.join("");
+  }
+
+  function approxNote(p) {
+    if (!isApproximate(p)) return "";
+    const where = geoPrecision(p) === "zip" ? "zip code" : "city";
+    return `<p class="approx-note">Approximate location — pinned at the ${where} center. Distance may be off by several miles.</p>`;
+  }
+
+  function contactDetails(p) {
+    if (needsContacts(p) && (hasPhone(p) || hasEmail(p))) {
+      return `<p class="detail">Loading contact details…</p>`;
     }
+    const email = publicEmail(p);
+    return [
+      p.phone && `<p class="detail">Phone: <a href="tel:${esc(p.phoneE164 || p.phone)}">${esc(p.phone)}</a></p>`,
+      email && `<p class="detail">Email: <a href="mailto:${esc(email)}">${esc(email)}</a></p>`,
+      p.npi && `<p class="detail">NPI: ${esc(p.npi)}</p>`,
+    ]
+      .filter(Boolean)
+      .join("");
+  }
 
+  function distanceLine(p) {
+    if (p.driveMinutes != null) {
+      const about = isApproximate(p) || p.driveEstimated ? "About " : "";
+      return `<div class="distance">${about}${Math.round(p.driveMinutes)} min drive (${p.distance.toFixed(1)} miles away)</div>`;
+    }
     if (p.distance != null) {
-      lines.push(
-        `<div class="distance">${p.distance.toFixed(1)} miles away</div>`
-      );
+      return `<div class="distance">${isApproximate(p) ? "About " : ""}${p.distance.toFixed(1)} miles away</div>`;
     }
+    return "";
+  }
 
-    // Verification badge
-    if (p.verified) {
-      lines.push(`<span class="badge badge-verified">Verified</span>`);
-    } else if (p.address?.full) {
-      lines.push(`<span class="badge badge-unverified">Unverified address</span>`);
-    }
+  function verificationBadge(p) {
+    if (p.verified) return `<span class="badge badge-verified">Verified</span>`;
+    if (p.address?.full) return `<span class="badge badge-unverified">Unverified address</span>`;
+    return "";
+  }
 
-    lines.push(`</div>`);
-    return lines.join("");
+  function buildLocationPopup(members) {
+    return members.length === 1 ? buildPopup(members[0]) : buildPracticePopup(members);
+  }
+
+  // Everyone at one practice: what they share up top, then each doctor's
+  // own details. Grouped by organization alone, the addresses may differ,
+  // so each doctor keeps theirs.
+  function buildPracticePopup(members) {
+    const first = members[0];
+    const shared = (get) => {
+      const value = get(first);
+      return value && members.every((p) => get(p) === value) ? value : null;
+    };
+    const organization = shared((p) => p.organization);
+    const address = shared((p) => p.address?.full);
+    const focusId = popupFocusId || selectedId;
+    const title =
+      organization ||
+      (isApproximate(first) && first.address?.city
+        ? `${members.length} prescribers in ${first.address.city}`
+        : `${members.length} prescribers at this location`);
+
+    const doctors = members
+      .map((p) => {
+        const specialty = p.specialty || p.prescriberType;
+        return `
+        <div class="practice-member${String(p.id) === focusId ? " focused" : ""}" data-member-id="${esc(String(p.id))}">
+          <h4>${esc(p.name)}</h4>
+          ${specialty ? `<span class="badge badge-specialty">${esc(specialty)}</span>` : ""}
+          ${!organization && p.organization ? `<div class="org">${esc(p.organization)}</div>` : ""}
+          ${!address && p.address?.full ? `<p class="detail">${esc(p.address.full)}</p>` : ""}
+          ${contactDetails(p)}
+          ${verificationBadge(p)}
+          ${shortlistButton(p.id, "popup")}
+        </div>`;
+      })
+      .join("");
+
+    return `
+      <div class="prescriber-popup practice-popup">
+        <h3>${esc(title)}</h3>
+        ${organization && first.healthSystem ? `<div class="health-system">${esc(first.healthSystem)}</div>` : ""}
+        ${address ? `<p class="detail">${esc(address)}</p>` : ""}
+        ${approxNote(first)}
+        ${distanceLine(first)}
+        ${organization ? `<p class="practice-count">${members.length} prescribers here</p>` : ""}
+        <div class="practice-members">${doctors}</div>
+      </div>`;
   }
 
   // -----------------------------------------------------------------------
-  // Geocoding (Nominatim — free, no key needed)
+  // Shortlist (see shortlist.js)
   // -----------------------------------------------------------------------
-  async function geocodeZip(zip) {
+  const shortlist = createShortlist();
+
+  function shortlistButtonState(id, where) {
+    const on = shortlist.has(id);
+    return {
+      on,
+      label: where === "card" ? (on ? "★" : "☆") : on ? "✓ On shortlist" : "+ Add to shortlist",
+      title: `${on ? "Remove from" : "Add to"} shortlist`,
+    };
+  }
+
+  function shortlistButton(id, where) {
+    const { on, label, title } = shortlistButtonState(id, where);
+    return `<button class="shortlist-btn shortlist-btn-${where}${on ? " on" : ""}" data-shortlist-id="${esc(String(id))}" data-where="${where}" title="${title}">${label}</button>`;
+  }
+
+  // Update buttons in place: replacing a clicked popup button would detach
+  // the click target, and Leaflet would take it for a map click and close
+  // the popup
+  function refreshShortlistButtons(id) {
+    document.querySelectorAll("[data-shortlist-id]").forEach((btn) => {
+      if (btn.dataset.shortlistId !== String(id)) return;
+      const { on, label, title } = shortlistButtonState(id, btn.dataset.where);
+      btn.classList.toggle("on", on);
+      btn.textContent = label;
+      btn.title = title;
+    });
+  }
+
+  function initShortlist() {
+    // Add/remove buttons in popups and list cards
+    document.addEventListener("click", async (e) => {
+      const btn = e.target.closest("[data-shortlist-id]");
+      if (!btn) return;
+      const id = btn.dataset.shortlistId;
+      const p = shownById.get(id) || prescribersById.get(id);
+      if (!p) return;
+      // The shortlist keeps the phone and email it was added with
+      if (!shortlist.has(id)) {
+        try {
+          await loadContacts([p]);
+        } catch (err) {
+          console.error("Could not load contact details:", err);
+          return alert("Could not load this prescriber's contact details. Try again.");
+        }
+      }
+      shortlist.toggle(p, { patientZip: radiusSearch?.place.zip });
+      refreshShortlistButtons(id);
+    });
+
+    const itemsEl = document.getElementById("shortlist-items");
+    itemsEl.addEventListener("change", (e) => {
+      const id = e.target.closest("[data-item-id]")?.dataset.itemId;
+      if (e.target.matches(".shortlist-outcome")) shortlist.update(id, { outcome: e.target.value });
+    });
+    itemsEl.addEventListener("input", (e) => {
+      const id = e.target.closest("[data-item-id]")?.dataset.itemId;
+      if (e.target.matches(".shortlist-notes")) shortlist.update(id, { notes: e.target.value });
+    });
+    itemsEl.addEventListener("click", (e) => {
+      const item = e.target.closest("[data-item-id]");
+      if (e.target.matches(".shortlist-remove")) {
+        shortlist.remove(item.dataset.itemId);
+        refreshShortlistButtons(item.dataset.itemId);
+      } else if (e.target.matches(".shortlist-name")) {
+        openPrescriberPopup(item.dataset.itemId);
+      } else if (e.target.matches(".shortlist-crm-save")) {
+        recordOutcome(item);
+      }
+    });
+
+    document.getElementById("shortlist-zip").addEventListener("change", (e) => {
+      shortlist.setPatientZip(e.target.value.trim());
+    });
+    document.getElementById("shortlist-print").addEventListener("click", printShortlist);
+    document.getElementById("shortlist-csv").addEventListener("click", downloadShortlistCsv);
+    document.getElementById("shortlist-email").addEventListener("click", () => {
+      location.href = patientEmailUrl(shortlist.list);
+    });
+    document.getElementById("shortlist-clear").addEventListener("click", () => {
+      if (!confirm("Clear the shortlist and its notes for a new patient?")) return;
+      const ids = shortlist.list.items.map((item) => item.id);
+      shortlist.clear();
+      ids.forEach(refreshShortlistButtons);
+    });
+
+    // Typing notes or picking an outcome needs no redraw (and a redraw
+    // would lose the cursor)
+    shortlist.onChange((list, reason) => {
+      if (reason !== "update") renderShortlist();
+    });
+    renderShortlist();
+  }
+
+  function renderShortlist() {
+    const { patientZip, items } = shortlist.list;
+    document.getElementById("shortlist-panel").classList.toggle("hidden", items.length === 0);
+    document.getElementById("shortlist-count").textContent = `(${items.length})`;
+    document.getElementById("shortlist-zip").value = patientZip;
+
+    document.getElementById("shortlist-items").innerHTML = items
+      .map(
+        (item) => `
+      <div class="shortlist-item" data-item-id="${esc(item.id)}">
+        <div class="shortlist-info">
+          <button class="shortlist-name" title="Show on map">${esc(item.name)}</button>
+          <p>${esc(item.organization)}${item.phone ? " · " + esc(item.phone) : ""}</p>
+        </div>
+        <select class="shortlist-outcome" aria-label="Call outcome">
+          ${OUTCOMES.map(
+            (o) => `<option value="${o.value}"${o.value === item.outcome ? " selected" : ""}>${esc(o.label)}</option>`
+          ).join("")}
+        </select>
+        <textarea class="shortlist-notes" rows="1" placeholder="Call notes" aria-label="Call notes">${esc(item.notes)}</textarea>
+        <button class="shortlist-remove secondary" title="Remove from shortlist">✕</button>
+        ${serverFeatures.recordOutcomes ? crmControls(item) : ""}
+      </div>`
+      )
+      .join("");
+  }
+
+  // Recording the referral outcome on the prescriber's AC contact
+  // (server.js holds the API key). The call notes go along as the note.
+  function crmControls(item) {
+    return `
+        <div class="shortlist-crm">
+          <select class="shortlist-crm-outcome" aria-label="Referral outcome for the CRM">
+            ${Object.entries(REFERRAL_OUTCOMES)
+              .map(([value, o]) => `<option value="${value}"${value === item.crm?.outcome ? " selected" : ""}>${esc(o.label)}</option>`)
+              .join("")}
+          </select>
+          <button class="shortlist-crm-save secondary">Record in CRM</button>
+          <span class="shortlist-crm-status">${esc(crmStatus(item.crm))}</span>
+        </div>`;
+  }
+
+  function crmStatus(crm) {
+    if (!crm) return "";
+    return `✓ ${REFERRAL_OUTCOMES[crm.outcome]?.label || crm.outcome} · ${new Date(crm.at).toLocaleDateString()}`;
+  }
+
+  async function recordOutcome(itemEl) {
+    const id = itemEl.dataset.itemId;
+    const item = shortlist.list.items.find((i) => i.id === id);
+    const button = itemEl.querySelector(".shortlist-crm-save");
+    const status = itemEl.querySelector(".shortlist-crm-status");
+    const outcome = itemEl.querySelector(".shortlist-crm-outcome").value;
+
+    button.disabled = true;
+    status.textContent = "Saving…";
     try {
-      const url = `https://nominatim.openstreetmap.org/search?postalcode=${zip}&country=US&format=json&limit=1`;
-      const res = await fetch(url, {
-        headers: { "User-Agent": "MyEyes-PrescriberMap/1.0" },
+      const res = await fetch(`/api/prescribers/${encodeURIComponent(id)}/outcome`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ outcome, note: item?.notes || "" }),
       });
-      if (!res.ok) return null;
-      const results = await res.json();
-      if (results.length === 0) return null;
-      return {
-        lat: parseFloat(results[0].lat),
-        lng: parseFloat(results[0].lon),
-      };
-    } catch {
+      if (res.status === 401) return redirectToLogin(true);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+      const crm = { outcome, at: data.recordedAt };
+      shortlist.update(id, { crm });
+      status.textContent = crmStatus(crm);
+    } catch (e) {
+      console.error("Could not record the outcome:", e);
+      status.textContent = `Not saved: ${e.message}`;
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  function printShortlist() {
+    printSheet(printableSheet(shortlist.list, esc));
+  }
+
+  function downloadShortlistCsv() {
+    const { patientZip } = shortlist.list;
+    downloadFile(
+      `shortlist${patientZip ? "-" + patientZip : ""}-${new Date().toISOString().slice(0, 10)}.csv`,
+      shortlistCsv(shortlist.list),
+      "text/csv;charset=utf-8"
+    );
+  }
+
+  // -----------------------------------------------------------------------
+  // Exports (see export.js)
+  // -----------------------------------------------------------------------
+  // Exports cover exactly what the list shows: every filter and the zip
+  // search, in the same order, with distances
+  function currentResults() {
+    return [...shownById.values()];
+  }
+
+  function resultsTitle() {
+    const parts = ["Prescribers"];
+    if (radiusSearch) parts.push(searchPhrase(radiusSearch, currentResults()));
+    if (filters.state) parts.push(`in ${filters.state}`);
+    if (filters.name) parts.push(`matching "${filters.name}"`);
+    const facetValues = FACETS.flatMap((f) => [...filters.facets[f.key]]);
+    if (facetValues.length) parts.push(`(${facetValues.join(", ")})`);
+    return parts.join(" ");
+  }
+
+  function exportFileName(ext) {
+    const place = radiusSearch?.place;
+    const near = place && (place.kind === "city" ? place.label.replace(/\W+/g, "-") : place.zip || "nearby");
+    const scope = [near, filters.state].filter(Boolean).join("-") || "all";
+    return `prescribers-${scope}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+  }
+
+  // The results with their contact details, or null (after saying so) if
+  // they couldn't be loaded
+  async function resultsWithContacts() {
+    const results = currentResults();
+    try {
+      await loadContacts(results);
+      return results;
+    } catch (e) {
+      console.error("Could not load contact details:", e);
+      alert("Could not load the contact details to export. Try again.");
       return null;
     }
   }
 
+  async function exportCsv() {
+    const results = await resultsWithContacts();
+    if (results) downloadFile(exportFileName("csv"), resultsCsv(results), "text/csv;charset=utf-8");
+  }
+
+  async function exportVCards() {
+    const results = await resultsWithContacts();
+    if (results) downloadFile(exportFileName("vcf"), resultsVCards(results), "text/vcard;charset=utf-8");
+  }
+
+  async function exportPrint() {
+    const results = await resultsWithContacts();
+    if (results) printSheet(printableResults(results, { esc, travel: travelLabel, title: resultsTitle() }));
+  }
+
+  function downloadFile(name, text, type) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    link.download = name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  // Print just #print-sheet (or save it as a PDF from the print dialog),
+  // once its map tiles have loaded
+  async function printSheet(html) {
+    const sheet = document.getElementById("print-sheet");
+    sheet.innerHTML = html;
+    await Promise.race([
+      Promise.all(
+        [...sheet.querySelectorAll("img")].map(
+          (img) => img.complete || new Promise((resolve) => (img.onload = img.onerror = resolve))
+        )
+      ),
+      new Promise((resolve) => setTimeout(resolve, 5000)),
+    ]);
+    document.body.classList.add("printing-sheet");
+    window.addEventListener("afterprint", () => document.body.classList.remove("printing-sheet"), {
+      once: true,
+    });
+    window.print();
+  }
+
+  // -----------------------------------------------------------------------
+  // Coverage gaps (see coverage.js)
+  // -----------------------------------------------------------------------
+  const COVERAGE_THRESHOLDS = [25, 50, 100];
+  const DEFAULT_COVERAGE_THRESHOLD = 50;
+
+  // { threshold, layer, renderer, key } while the view is on; `key` names
+  // the threshold and facets the map currently shows
+  let coverage = null;
+
+  // Coverage is measured against the prescribers the facet filters pick
+  // (e.g. one specialty); the zip search, state and name don't narrow it
+  function coveragePrescribers() {
+    return allPrescribers.filter((p) =>
+      FACETS.every((f) => matchesFacet(f, p, filters.facets[f.key]))
+    );
+  }
+
+  function setCoverage(threshold) {
+    const panel = document.getElementById("coverage-panel");
+    const button = document.getElementById("coverage-btn");
+    if (!threshold) {
+      if (coverage) map.removeLayer(coverage.layer);
+      coverage = null;
+      panel.classList.add("hidden");
+      button.classList.remove("active");
+      button.setAttribute("aria-pressed", "false");
+      return;
+    }
+
+    if (!coverage) {
+      const renderer = L.canvas({ padding: 0.5 });
+      coverage = { threshold, layer: L.layerGroup().addTo(map), renderer, key: null };
+      renderCoverageLegend();
+    }
+    coverage.threshold = threshold;
+    document.getElementById("coverage-threshold").value = threshold;
+    panel.classList.remove("hidden");
+    button.classList.add("active");
+    button.setAttribute("aria-pressed", "true");
+    return updateCoverage();
+  }
+
+  // Re-measure when the threshold or facets change. Measuring every zip
+  // takes a moment, so anything newer that comes in meanwhile wins.
+  async function updateCoverage() {
+    if (!coverage) return;
+    const key = JSON.stringify([coverage.threshold, FACETS.map((f) => [...filters.facets[f.key]])]);
+    if (key === coverage.key) return;
+    coverage.key = key;
+    // Turning the view off, or changing the filters, abandons this run
+    const current = coverage;
+    const stale = () => coverage !== current || coverage.key !== key;
+
+    document.getElementById("coverage-summary").textContent = "Measuring coverage…";
+    const zips = await loadZipCentroids();
+    if (stale()) return;
+
+    const result = await analyzeCoverage(zips, coveragePrescribers(), {
+      thresholdMiles: coverage.threshold,
+      isCancelled: stale,
+    });
+    if (!result || stale()) return;
+    drawCoverage(result);
+    renderCoverageGaps(result);
+  }
+
+  function drawCoverage(result) {
+    const { layer, renderer } = coverage;
+    layer.clearLayers();
+    for (const cell of result.cells) {
+      const cls = gapClass(cell.distance);
+      L.rectangle(
+        [
+          [cell.lat, cell.lng],
+          [cell.lat + cell.size, cell.lng + cell.size],
+        ],
+        { renderer, stroke: false, fillColor: cls.color, fillOpacity: 0.45 }
+      )
+        .bindTooltip(
+          `${coverageMiles(cell.distance)} to the nearest prescriber on average · ${cell.zips} zip code${cell.zips !== 1 ? "s" : ""}` +
+            (result.hasPopulation ? ` · pop. ${cell.population.toLocaleString()}` : ""),
+          { sticky: true }
+        )
+        .addTo(layer);
+    }
+  }
+
+  function coverageMiles(miles) {
+    return miles >= MAX_GAP_MILES ? `${MAX_GAP_MILES}+ mi` : `${Math.round(miles)} mi`;
+  }
+
+  function renderCoverageLegend() {
+    document.getElementById("coverage-legend").innerHTML = GAP_CLASSES.map(
+      (c) => `<span><i style="background:${c.color}"></i>${esc(c.label)}</span>`
+    ).join("");
+  }
+
+  function renderCoverageGaps(result) {
+    const { hasPopulation, uncovered } = result;
+    const share = result.population ? Math.round((uncovered.population / result.population) * 100) : 0;
+    document.getElementById("coverage-summary").textContent = hasPopulation
+      ? `${uncovered.population.toLocaleString()} people (${share}%) in ${uncovered.zips.toLocaleString()} zip codes are over ${coverage.threshold} miles from a prescriber`
+      : `${uncovered.zips.toLocaleString()} of ${result.zipCount.toLocaleString()} zip codes (${share}%) are over ${coverage.threshold} miles from a prescriber`;
+    // Without populations in zip-centroids.json, gaps are ranked by zip count
+    document.getElementById("coverage-weight-label").textContent = hasPopulation ? "Population" : "Zip codes";
+
+    document.getElementById("coverage-gaps").innerHTML = result.gaps
+      .map(
+        (gap, i) => `
+        <tr data-lat="${gap.lat}" data-lng="${gap.lng}" data-zip="${gap.zip}" title="Show on map">
+          <td>${i + 1}</td>
+          <td>${gap.zip}${gap.zips > 1 ? ` <span class="coverage-more">+${gap.zips - 1} nearby</span>` : ""}</td>
+          <td>${gap.population.toLocaleString()}</td>
+          <td>${gap.nearest ? esc(gap.nearest.name) + (gap.nearest.address?.city ? ", " + esc(gap.nearest.address.city) : "") : "—"}</td>
+          <td>${coverageMiles(gap.distance)}</td>
+        </tr>`
+      )
+      .join("");
+  }
+
   // -----------------------------------------------------------------------
-  // Haversine distance (miles)
+  // Geocoding (offline zip centroid table — built by build-zip-centroids.js)
   // -----------------------------------------------------------------------
-  function haversine(lat1, lon1, lat2, lon2) {
-    const R = 3959; // Earth radius in miles
-    const dLat = toRad(lat2 - lat1);
-    const dLon = toRad(lon2 - lon1);
-    const a =
-      Math.sin(dLat / 2) ** 2 +
-      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
-    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  let centroidTable = null;
+  let placeIndex = null;
+
+  function loadCentroidTable() {
+    // Fetched lazily on the first search, then shared by every lookup
+    if (!centroidTable) {
+      centroidTable = fetch("zip-centroids.json")
+        .then((res) => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.json();
+        })
+        .catch((e) => {
+          console.error("Failed to load zip-centroids.json:", e);
+          centroidTable = null; // allow a retry on the next search
+          placeIndex = null;
+          return {};
+        });
+    }
+    return centroidTable;
   }
 
-  function toRad(deg) {
-    return (deg * Math.PI) / 180;
+  async function loadZipCentroids() {
+    return (await loadCentroidTable()).zips || {};
+  }
+
+  // Towns from the table (when built with --places), plus the towns our
+  // prescribers are in
+  function loadPlaceIndex() {
+    if (!placeIndex) {
+      placeIndex = loadCentroidTable().then((data) =>
+        createPlaceIndex(data.places || [], placesFromPrescribers(allPrescribers, normalizeState))
+      );
+    }
+    return placeIndex;
   }
 
   function esc(str) {
     if (!str) return "";
     const div = document.createElement("div");
     div.textContent = str;
-    return div.innerHTML;
+    // innerHTML leaves quotes alone; escape them for attribute values
+    return div.innerHTML.replace(/"/g, "&quot;");
   }
 })();
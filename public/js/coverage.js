@@ -0,0 +1,138 @@
+/**
+ * MyEyes Prescriber Map — Coverage gaps
+ * How far every US zip centroid is from its nearest prescriber, rolled up
+ * into grid cells for a choropleth and into a ranked list of the biggest
+ * uncovered population centers, to point recruiting at.
+ */
+
+import { createGridIndex } from "./shared/grid.js";
+
+// Farther than this counts as "no prescriber nearby" without measuring how
+// far (and keeps the nearest-prescriber search quick in empty regions)
+export const MAX_GAP_MILES = 250;
+
+// Choropleth classes by distance to the nearest prescriber (miles)
+export const GAP_CLASSES = [
+  { max: 10, label: "Under 10 mi", color: "#1a9850" },
+  { max: 25, label: "10–25 mi", color: "#91cf60" },
+  { max: 50, label: "25–50 mi", color: "#fee08b" },
+  { max: 100, label: "50–100 mi", color: "#fc8d59" },
+  { max: Infinity, label: "Over 100 mi", color: "#d73027" },
+];
+
+// Zips measured between pauses that let the page handle input and paint
+const CHUNK_SIZE = 2000;
+
+export function gapClass(miles) {
+  return GAP_CLASSES.find((c) => miles < c.max) || GAP_CLASSES[GAP_CLASSES.length - 1];
+}
+
+/**
+ * Measure coverage for `zips` (the zip-centroids.json table: zip → [lat,
+ * lng] or [lat, lng, population]) against the geocoded `prescribers`.
+ * Without populations every zip counts as one.
+ *
+ * Returns {
+ *   hasPopulation, zipCount, population, uncovered: { zips, population },
+ *   cells: [{ lat, lng, size, distance, zips, population }]  — south-west
+ *     corner, size in degrees and population-weighted mean distance,
+ *   gaps: [{ zip, lat, lng, distance, nearest, zips, population }]  — the
+ *     uncovered cells with the most people, each named after its most
+ *     populous zip; `distance` and `nearest` are for that zip
+ * }
+ * A `distance` of Infinity means no prescriber within MAX_GAP_MILES.
+ *
+ * Measuring every zip takes a while, so it's done in chunks, pausing for
+ * the browser between them. Resolves to null if `isCancelled()` turns true
+ * during a pause (the filters changed and a new analysis started).
+ */
+export async function analyzeCoverage(
+  zips,
+  prescribers,
+  { thresholdMiles = 50, cellDegrees = 0.5, top = 25, isCancelled = () => false } = {}
+) {
+  const index = createGridIndex(prescribers.filter((p) => p.lat && p.lng));
+  const entries = Object.entries(zips);
+  const hasPopulation = entries.some(([, ll]) => ll.length > 2);
+  const cellOf = (deg) => Math.floor(deg / cellDegrees);
+
+  const cells = new Map();
+  const uncovered = { zips: 0, population: 0 };
+  let population = 0;
+
+  for (let i = 0; i < entries.length; i++) {
+    if (i > 0 && i % CHUNK_SIZE === 0) {
+      await new Promise((resolve) => setTimeout(resolve));
+      if (isCancelled()) return null;
+    }
+    const [zip, [lat, lng, pop = 0]] = entries[i];
+    const hit = index.nearest(lat, lng, MAX_GAP_MILES);
+    const distance = hit ? hit.distance : Infinity;
+    const weight = hasPopulation ? pop : 1;
+    population += weight;
+
+    const key = `${cellOf(lat)}:${cellOf(lng)}`;
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = {
+        lat: cellOf(lat) * cellDegrees,
+        lng: cellOf(lng) * cellDegrees,
+        size: cellDegrees,
+        zips: 0,
+        population: 0,
+        weightedMiles: 0,
+        totalWeight: 0,
+        gap: null,
+      };
+      cells.set(key, cell);
+    }
+    cell.zips++;
+    cell.population += weight;
+    // Unpopulated zips still count a little, so empty cells get a colour
+    const cellWeight = weight || 1e-6;
+    cell.weightedMiles += Math.min(distance, MAX_GAP_MILES) * cellWeight;
+    cell.totalWeight += cellWeight;
+
+    if (distance > thresholdMiles) {
+      uncovered.zips++;
+      uncovered.population += weight;
+      const gap = (cell.gap ||= { zips: 0, population: 0, anchor: null });
+      gap.zips++;
+      gap.population += weight;
+      if (!gap.anchor || pop > gap.anchor.pop || (pop === gap.anchor.pop && distance > gap.anchor.distance)) {
+        gap.anchor = { zip, lat, lng, pop, distance, nearest: hit?.point || null };
+      }
+    }
+  }
+
+  const cellList = [...cells.values()];
+  const gaps = cellList
+    .filter((cell) => cell.gap)
+    .map(({ gap }) => ({
+      zip: gap.anchor.zip,
+      lat: gap.anchor.lat,
+      lng: gap.anchor.lng,
+      distance: gap.anchor.distance,
+      nearest: gap.anchor.nearest,
+      zips: gap.zips,
+      population: gap.population,
+    }))
+    .sort((a, b) => b.population - a.population || b.distance - a.distance)
+    .slice(0, top);
+
+  return {
+    hasPopulation,
+    zipCount: entries.length,
+    population,
+    uncovered,
+    cells: cellList.map((cell) => ({
+      lat: cell.lat,
+      lng: cell.lng,
+      size: cell.size,
+      distance: cell.weightedMiles / cell.totalWeight,
+      zips: cell.zips,
+      population: cell.population,
+    })),
+    gaps,
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * MyEyes Prescriber Map — Doctor search
+ * Fuzzy matching for the doctor search box. Every typed word has to match
+ * a word of the name, organization, health system or city. The words can
+ * come in any order and can have a typo or two. A run of digits can also
+ * match the start of the NPI. Matches are scored for ranking and keep the
+ * matched ranges for highlighting.
+ */
+
+// A name match counts most
+const FIELDS = [
+  { key: "name", weight: 3, get: (p) => p.name },
+  { key: "organization", weight: 2, get: (p) => p.organization },
+  { key: "healthSystem", weight: 2, get: (p) => p.healthSystem },
+  { key: "city", weight: 1, get: (p) => p.address?.city },
+];
+
+// How good a match of one typed word is
+const SCORE = { exact: 1, prefix: 0.85, typo: 0.7, substring: 0.5 };
+const TYPO_PENALTY = 0.15; // per edit
+
+// Lowercase without accents or apostrophes: "O’Brien" → "obrien"
+function fold(text) {
+  return text
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f'’]/g, "");
+}
+
+function splitWords(text) {
+  const words = [];
+  for (const m of String(text || "").matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu)) {
+    words.push({ text: fold(m[0]), start: m.index, length: m[0].length });
+  }
+  return words;
+}
+
+// Edit distance with transpositions ("aarno" → "aaron" is 1), giving up
+// once it's over `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prev2[j - 2] + 1);
+      }
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Match one typed word against one word of a field: { score, from, length }
+// (the range within the word to highlight), or null
+function matchWord(token, word) {
+  if (word.text === token) return { score: SCORE.exact, from: 0, length: word.length };
+  if (word.text.startsWith(token)) return { score: SCORE.prefix, from: 0, length: Math.min(token.length, word.length) };
+  const at = token.length >= 3 ? word.text.indexOf(token) : -1;
+  if (at > 0) return { score: SCORE.substring, from: at, length: token.length };
+
+  // Short words must be typed right; longer ones may have a typo, in the
+  // whole word or in the part typed so far
+  const allowed = token.length >= 7 ? 2 : token.length >= 4 ? 1 : 0;
+  if (!allowed) return null;
+  const edits = Math.min(
+    editDistance(token, word.text, allowed),
+    editDistance(token, word.text.slice(0, token.length), allowed)
+  );
+  if (edits > allowed) return null;
+  return { score: SCORE.typo - TYPO_PENALTY * (edits - 1), from: 0, length: word.length };
+}
+
+/**
+ * Index prescribers for searching. `search(query)` returns a Map of
+ * prescriber id → { score, marks }, where marks maps a field ("name",
+ * "organization", "healthSystem", "city", "npi") to [start, length]
+ * ranges. A prescriber is in the map only if every typed word matched.
+ * The last query's result is reused, so several filters can share it.
+ */
+export function createDoctorIndex(prescribers) {
+  const entries = prescribers.map((p) => ({
+    id: String(p.id),
+    npi: String(p.npi || ""),
+    fields: FIELDS.map((f) => ({ ...f, words: splitWords(f.get(p)) })),
+  }));
+  let last = { query: null, matches: null };
+
+  function matchEntry(entry, tokens) {
+    let score = 0;
+    const marks = {};
+    const mark = (key, start, length) => (marks[key] ||= []).push([start, length]);
+
+    for (const token of tokens) {
+      let best = null;
+      if (/^\d{3,}$/.test(token) && entry.npi.startsWith(token)) {
+        best = { score: 3, key: "npi", start: 0, length: token.length };
+      }
+      for (const field of entry.fields) {
+        for (const word of field.words) {
+          const m = matchWord(token, word);
+          if (m && (!best || m.score * field.weight > best.score)) {
+            best = { score: m.score * field.weight, key: field.key, start: word.start + m.from, length: m.length };
+          }
+        }
+      }
+      if (!best) return null;
+      score += best.score;
+      mark(best.key, best.start, best.length);
+    }
+
+    // Typed in the same order as the name reads
+    const name = entry.fields[0].words;
+    if (tokens.length > 1 && name.length && name[0].text.startsWith(tokens[0])) score += 1;
+    return { score, marks };
+  }
+
+  return {
+    search(query) {
+      const folded = fold(String(query || "")).trim();
+      if (folded === last.query) return last.matches;
+      const tokens = splitWords(folded).map((w) => w.text);
+      const matches = new Map();
+      if (tokens.length) {
+        for (const entry of entries) {
+          const m = matchEntry(entry, tokens);
+          if (m) matches.set(entry.id, m);
+        }
+      }
+      last = { query: folded, matches };
+      return matches;
+    },
+  };
+}
+
+/**
+ * `text` as HTML with the `ranges` ([start, length]) wrapped in <mark>.
+ * `esc` escapes text for HTML.
+ */
+export function highlight(text, ranges, esc) {
+  text = String(text || "");
+  if (!ranges?.length) return esc(text);
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  let html = "";
+  let at = 0;
+  for (const [start, length] of sorted) {
+    if (start < at) continue; // overlaps the previous mark
+    html += esc(text.slice(at, start)) + `<mark>${esc(text.slice(start, start + length))}</mark>`;
+    at = start + length;
+  }
+  return html + esc(text.slice(at));
+}
@@ -0,0 +1,199 @@
+/**
+ * MyEyes Prescriber Map — Exports
+ * CSV, vCard and printable-page builders for a list of prescribers (the
+ * current results; shortlist.js reuses the CSV helpers). Internal
+ * @myeyes.net addresses never leave the app, as in the popups.
+ */
+
+import { publicEmail } from "./shared/contacts.js";
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+export function csvField(value) {
+  let s = String(value ?? "");
+  // Keep spreadsheet apps from running cell contents as formulas
+  if (/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Rows (arrays of values, header first) as CSV with CRLF line endings. */
+export function toCsv(rows) {
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+const round1 = (n) => (n == null ? "" : Math.round(n * 10) / 10);
+
+export function resultsCsv(prescribers) {
+  const header = [
+    "Name",
+    "Organization",
+    "Specialty",
+    "Practice Type",
+    "NPI",
+    "Phone",
+    "Email",
+    "Street",
+    "City",
+    "State",
+    "Zip",
+    "Distance (mi)",
+    "Drive (min)",
+    "Location",
+  ];
+  const rows = prescribers.map((p) => [
+    p.name,
+    p.organization,
+    p.specialty || p.prescriberType,
+    p.practiceType,
+    p.npi,
+    p.phone,
+    publicEmail(p),
+    p.address?.street,
+    p.address?.city,
+    p.address?.state,
+    p.address?.zip,
+    round1(p.distance),
+    p.driveMinutes != null ? Math.round(p.driveMinutes) : "",
+    p.geoPrecision && p.geoPrecision !== "street" ? `Approximate (${p.geoPrecision})` : "",
+  ]);
+  return toCsv([header, ...rows]);
+}
+
+// ---------------------------------------------------------------------------
+// vCard
+// ---------------------------------------------------------------------------
+
+// vCard 3.0 (RFC 2426): escape text values and fold lines at 75 characters
+function vText(value) {
+  return String(value ?? "").replace(/([\\;,])/g, "\\$1").replace(/\r?\n/g, "\\n");
+}
+
+function fold(line) {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 74) parts.push(line.slice(i, i + 74));
+  return parts.join("\r\n ");
+}
+
+function vCard(p) {
+  const words = (p.name || "").trim().split(/\s+/);
+  const last = words.length > 1 ? words.pop() : "";
+  const email = publicEmail(p);
+  const a = p.address || {};
+  const lines = [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    `N:${vText(last)};${vText(words.join(" "))};;;`,
+    `FN:${vText(p.name)}`,
+    p.organization && `ORG:${vText(p.organization)}`,
+    (p.specialty || p.prescriberType) && `TITLE:${vText(p.specialty || p.prescriberType)}`,
+    p.phone && `TEL;TYPE=WORK,VOICE:${vText(p.phoneE164 || p.phone)}`,
+    email && `EMAIL;TYPE=INTERNET,WORK:${vText(email)}`,
+    (a.street || a.city) &&
+      `ADR;TYPE=WORK:;;${[a.street, a.city, a.state, a.zip].map(vText).join(";")};USA`,
+    p.npi && `NOTE:NPI ${vText(p.npi)}`,
+    "CATEGORIES:MyEyes Prescribers",
+    "END:VCARD",
+  ];
+  return lines.filter(Boolean).map(fold).join("\r\n") + "\r\n";
+}
+
+/** One .vcf holding a card per prescriber, for importing into phone contacts. */
+export function resultsVCards(prescribers) {
+  return prescribers.map(vCard).join("");
+}
+
+// ---------------------------------------------------------------------------
+// Printable page
+// ---------------------------------------------------------------------------
+
+const TILE_SIZE = 256;
+const TILE_URL = "https://tile.openstreetmap.org";
+
+// Web Mercator pixel position at zoom `z`
+function project(lat, lng, z) {
+  const scale = TILE_SIZE * 2 ** z;
+  const sin = Math.sin((Math.max(-85, Math.min(85, lat)) * Math.PI) / 180);
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  };
+}
+
+/**
+ * A static map (OpenStreetMap tiles laid out as images, no API key) framing
+ * `points`, with each pin labelled by its `label`. Returns HTML, or "" when
+ * there is nothing to show.
+ */
+export function staticMap(points, { width = 720, height = 360, padding = 24, maxZoom = 14 } = {}) {
+  if (!points.length) return "";
+
+  let z = maxZoom;
+  for (; z > 1; z--) {
+    const px = points.map((pt) => project(pt.lat, pt.lng, z));
+    const spanX = Math.max(...px.map((p) => p.x)) - Math.min(...px.map((p) => p.x));
+    const spanY = Math.max(...px.map((p) => p.y)) - Math.min(...px.map((p) => p.y));
+    if (spanX <= width - 2 * padding && spanY <= height - 2 * padding) break;
+  }
+
+  const px = points.map((pt) => ({ ...project(pt.lat, pt.lng, z), label: pt.label }));
+  const centerX = (Math.min(...px.map((p) => p.x)) + Math.max(...px.map((p) => p.x))) / 2;
+  const centerY = (Math.min(...px.map((p) => p.y)) + Math.max(...px.map((p) => p.y))) / 2;
+  const left = centerX - width / 2;
+  const top = centerY - height / 2;
+  const tiles = 2 ** z;
+
+  const imgs = [];
+  for (let ty = Math.floor(top / TILE_SIZE); ty <= Math.floor((top + height) / TILE_SIZE); ty++) {
+    if (ty < 0 || ty >= tiles) continue;
+    for (let tx = Math.floor(left / TILE_SIZE); tx <= Math.floor((left + width) / TILE_SIZE); tx++) {
+      const x = ((tx % tiles) + tiles) % tiles;
+      imgs.push(
+        `<img src="${TILE_URL}/${z}/${x}/${ty}.png" alt="" style="left:${Math.round(tx * TILE_SIZE - left)}px;top:${Math.round(ty * TILE_SIZE - top)}px">`
+      );
+    }
+  }
+  const pins = px.map(
+    (p) =>
+      `<span class="static-pin" style="left:${Math.round(p.x - left)}px;top:${Math.round(p.y - top)}px">${p.label}</span>`
+  );
+
+  return `
+    <div class="static-map" style="width:${width}px;height:${height}px">${imgs.join("")}${pins.join("")}</div>
+    <p class="static-map-credit">Map data &copy; OpenStreetMap contributors</p>`;
+}
+
+/**
+ * HTML for the printable results page: a static map with numbered pins and
+ * the matching numbered list. `esc` escapes text for HTML; `travel(p)`
+ * labels the distance or drive time; `title` describes the search.
+ */
+export function printableResults(prescribers, { esc, travel, title }) {
+  const numbered = prescribers.map((p, i) => ({ p, n: i + 1 }));
+  const map = staticMap(
+    numbered.filter(({ p }) => p.lat && p.lng).map(({ p, n }) => ({ lat: p.lat, lng: p.lng, label: n }))
+  );
+  const showTravel = prescribers.some((p) => p.distance != null);
+  const rows = numbered
+    .map(({ p, n }) => {
+      const email = publicEmail(p);
+      return `
+      <tr>
+        <td>${n}</td>
+        <td><strong>${esc(p.name)}</strong>${p.specialty || p.prescriberType ? "<br>" + esc(p.specialty || p.prescriberType) : ""}${p.organization ? "<br>" + esc(p.organization) : ""}</td>
+        <td>${esc(p.address?.full)}</td>
+        <td>${esc(p.phone)}${email ? "<br>" + esc(email) : ""}${p.npi ? "<br>NPI " + esc(p.npi) : ""}</td>
+        ${showTravel ? `<td>${p.distance != null ? esc(travel(p)) : ""}</td>` : ""}
+      </tr>`;
+    })
+    .join("");
+  return `
+    <h1>${esc(title)}</h1>
+    <p>${prescribers.length} prescriber${prescribers.length !== 1 ? "s" : ""} · Printed ${esc(new Date().toLocaleString())}</p>
+    ${map}
+    <table>
+      <thead><tr><th>#</th><th>Prescriber</th><th>Address</th><th>Contact</th>${showTravel ? "<th>Distance</th>" : ""}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
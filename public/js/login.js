@@ -0,0 +1,61 @@
+/**
+ * MyEyes Prescriber Map — Sign-in page (server mode)
+ */
+
+(function () {
+  "use strict";
+
+  document.addEventListener("DOMContentLoaded", function () {
+    const form = document.getElementById("login-form");
+    const userInput = document.getElementById("login-username");
+    const passInput = document.getElementById("login-password");
+    const loginBtn = document.getElementById("login-btn");
+    const loginErr = document.getElementById("login-error");
+
+    const params = new URLSearchParams(location.search);
+    if (params.get("expired")) {
+      loginErr.textContent = "Your session has expired. Please sign in again.";
+    }
+
+    // Only follow same-origin paths after login ("/\evil.com" resolves to
+    // another site, so resolve it rather than checking the prefix)
+    function nextUrl() {
+      const next = params.get("next") || "/";
+      try {
+        const url = new URL(next, location.origin);
+        if (url.origin === location.origin) return url.pathname + url.search + url.hash;
+      } catch {
+        // Not a URL at all
+      }
+      return "/";
+    }
+
+    form.addEventListener("submit", async function (e) {
+      e.preventDefault();
+      loginBtn.disabled = true;
+      loginErr.textContent = "";
+      try {
+        const res = await fetch("/api/login", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            username: userInput.value,
+            password: passInput.value,
+          }),
+        });
+        if (res.ok) {
+          location.replace(nextUrl());
+          return;
+        }
+        const data = await res.json().catch(() => ({}));
+        loginErr.textContent = data.error || "Sign-in failed";
+        passInput.value = "";
+        passInput.focus();
+      } catch {
+        loginErr.textContent = "Could not reach the server";
+      } finally {
+        loginBtn.disabled = false;
+      }
+    });
+  });
+})();
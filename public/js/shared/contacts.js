@@ -0,0 +1,25 @@
+/**
+ * A prescriber's phone numbers and email. Behind server.js the map's
+ * directory (GET /api/prescribers) leaves them out and the page asks for
+ * them only for the records it shows in a popup, adds to the shortlist or
+ * exports; the static site has them in prescribers.json.
+ */
+
+/** The prescriber's email, unless it's one of our internal addresses. */
+export function publicEmail(p) {
+  return p.email && !p.email.includes("@myeyes.net") ? p.email : "";
+}
+
+/** Just the contact fields of a record. */
+export function contactsOf(p) {
+  return { email: p.email ?? null, phone: p.phone ?? null, phoneE164: p.phoneE164 ?? null };
+}
+
+/**
+ * A record without its contact fields, saying only whether it has a phone
+ * and a public email (for the map's "Contact" filter).
+ */
+export function withoutContacts(p) {
+  const { email, phone, phoneE164, ...rest } = p;
+  return { ...rest, hasPhone: !!phone, hasEmail: !!publicEmail(p) };
+}
@@ -0,0 +1,59 @@
+/**
+ * Great-circle distance and drive-time estimates, shared by the browser
+ * (public/js/app.js) and Node (lib/geo.js) so the map and the server API
+ * agree on distances.
+ */
+
+// Haversine distance (miles)
+export function haversine(lat1, lon1, lat2, lon2) {
+  const R = 3959; // Earth radius in miles
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+// Rough road travel from straight-line miles, for when no routing service
+// is available: roads run ~30% longer than the crow flies, at ~35 mph
+// averaged over local and highway driving.
+export const ROAD_DETOUR_FACTOR = 1.3;
+export const AVERAGE_DRIVE_MPH = 35;
+
+export function estimateDrive(miles) {
+  const roadMiles = miles * ROAD_DETOUR_FACTOR;
+  return { minutes: (roadMiles / AVERAGE_DRIVE_MPH) * 60, miles: roadMiles };
+}
+
+// Straight-line radius (miles) reachable in `minutes` by the estimate above
+export function estimatedReachMiles(minutes) {
+  return ((minutes / 60) * AVERAGE_DRIVE_MPH) / ROAD_DETOUR_FACTOR;
+}
+
+// Point `miles` from lat/lng along a compass bearing (degrees)
+export function destinationPoint(lat, lng, bearing, miles) {
+  const R = 3959;
+  const d = miles / R;
+  const b = toRad(bearing);
+  const lat1 = toRad(lat);
+  const lng1 = toRad(lng);
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(b)
+  );
+  const lng2 =
+    lng1 +
+    Math.atan2(
+      Math.sin(b) * Math.sin(d) * Math.cos(lat1),
+      Math.cos(d) - Math.sin(lat1) * Math.sin(lat2)
+    );
+  return [toDeg(lat2), toDeg(lng2)];
+}
+
+function toDeg(rad) {
+  return (rad * 180) / Math.PI;
+}
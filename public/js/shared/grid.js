@@ -0,0 +1,67 @@
+/**
+ * A grid spatial index over lat/lng points, shared by the server search
+ * API (lib/search.js) and the map's coverage view.
+ */
+
+import { haversine } from "./geo.js";
+
+const MILES_PER_DEGREE_LAT = 69.05;
+// Half way round the Earth: nothing can be farther
+const MAX_SEARCH_MILES = 12500;
+
+/**
+ * Bucket points into fixed lat/lng cells so a radius query only measures
+ * points in the cells its bounding box touches. Each point needs lat/lng.
+ */
+export function createGridIndex(points, { cellDegrees = 0.5 } = {}) {
+  const cells = new Map();
+  const cellOf = (deg) => Math.floor(deg / cellDegrees);
+
+  for (const point of points) {
+    const key = `${cellOf(point.lat)}:${cellOf(point.lng)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(point);
+  }
+
+  // Call visit(point, distance) for every point within `radiusMiles`
+  function scan(lat, lng, radiusMiles, visit) {
+    const dLat = radiusMiles / MILES_PER_DEGREE_LAT;
+    // Degrees of longitude shrink towards the poles
+    const cosLat = Math.max(0.01, Math.cos((lat * Math.PI) / 180));
+    const dLng = Math.min(180, dLat / cosLat);
+
+    for (let y = cellOf(lat - dLat); y <= cellOf(lat + dLat); y++) {
+      for (let x = cellOf(lng - dLng); x <= cellOf(lng + dLng); x++) {
+        for (const point of cells.get(`${y}:${x}`) || []) {
+          const distance = haversine(lat, lng, point.lat, point.lng);
+          if (distance <= radiusMiles) visit(point, distance);
+        }
+      }
+    }
+  }
+
+  /** Points within `radiusMiles`, as [{ point, distance }] nearest first. */
+  function within(lat, lng, radiusMiles) {
+    const hits = [];
+    scan(lat, lng, radiusMiles, (point, distance) => hits.push({ point, distance }));
+    return hits.sort((a, b) => a.distance - b.distance);
+  }
+
+  /** The closest point as { point, distance }, or null if none is within `maxMiles`. */
+  function nearest(lat, lng, maxMiles = Infinity) {
+    if (points.length === 0) return null;
+    // Widen the search until something turns up; the scan is exact, so the
+    // closest point it finds is the nearest overall
+    for (let radius = cellDegrees * MILES_PER_DEGREE_LAT; ; radius *= 2) {
+      const r = Math.min(radius, maxMiles, MAX_SEARCH_MILES);
+      let best = null;
+      scan(lat, lng, r, (point, distance) => {
+        if (!best || distance < best.distance) best = { point, distance };
+      });
+      if (best) return best;
+      if (r < radius) return null;
+    }
+  }
+
+  return { size: points.length, within, nearest };
+}
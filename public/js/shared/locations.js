@@ -0,0 +1,147 @@
+/**
+ * Patient location lookup, shared by the map's search box
+ * (public/js/app.js) and the server's /api/locate: tell a zip, ZIP+4,
+ * "City, ST" or street address apart, and resolve zips and towns offline
+ * from zip-centroids.json. Street addresses need a geocoder, which the
+ * caller passes in.
+ */
+
+const ZIP_RE = /^(\d{5})(?:[-\s]?\d{4})?$/;
+// A zip at the end of an address ("…, Hoboken, NJ 07030-1234, USA")
+const TRAILING_ZIP_RE = /\b(\d{5})(?:-\d{4})?(?:\s*,?\s*(?:USA|US|United States))?\s*$/i;
+
+/**
+ * What a search box entry is: { kind: "zip", zip }, { kind: "city", city,
+ * state } (state null when none was given) or { kind: "address", address,
+ * zip }. `normalizeState` turns "NJ" or "New Jersey" into "NJ", else null.
+ * Returns null for an empty entry.
+ */
+export function parseLocationQuery(text, normalizeState) {
+  const q = String(text ?? "").trim().replace(/\s+/g, " ");
+  if (!q) return null;
+
+  const zip = ZIP_RE.exec(q);
+  if (zip) return { kind: "zip", zip: zip[1] };
+
+  // House numbers, suite numbers and zips only appear in addresses
+  if (/\d/.test(q)) return { kind: "address", address: q, zip: TRAILING_ZIP_RE.exec(q)?.[1] || null };
+
+  const comma = q.lastIndexOf(",");
+  if (comma !== -1) {
+    const state = normalizeState(q.slice(comma + 1));
+    if (state) return { kind: "city", city: q.slice(0, comma).trim(), state };
+    return { kind: "address", address: q, zip: null };
+  }
+
+  // "Kansas City MO", "Springfield Illinois", "New York"
+  const words = q.split(" ");
+  for (let n = Math.min(2, words.length - 1); n >= 1; n--) {
+    const state = normalizeState(words.slice(-n).join(" "));
+    if (state) return { kind: "city", city: words.slice(0, -n).join(" "), state };
+  }
+  return { kind: "city", city: q, state: null };
+}
+
+// Match "St. Louis" with "Saint Louis", "Mt Airy" with "Mount Airy"
+export function placeKey(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[.']/g, "")
+    .replace(/\bst\b/g, "saint")
+    .replace(/\bste\b/g, "sainte")
+    .replace(/\bmt\b/g, "mount")
+    .replace(/\bft\b/g, "fort")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Index town names. `places` and `extra` are lists of [name, state, lat,
+ * lng, population?] — zip-centroids.json's `places` and towns from the
+ * prescriber data (placesFromPrescribers). An `extra` town is only used
+ * where `places` has no town of that name in that state.
+ */
+export function createPlaceIndex(places, extra = []) {
+  const byName = new Map();
+  const add = (place, onlyIfNew) => {
+    const key = placeKey(place[0]);
+    if (!byName.has(key)) byName.set(key, []);
+    const same = byName.get(key);
+    if (onlyIfNew && same.some((p) => p[1] === place[1])) return;
+    same.push(place);
+  };
+  for (const place of places) add(place, false);
+  for (const place of extra) add(place, true);
+
+  return {
+    /** Towns called `city` (in `state`, if given), most populous first. */
+    find(city, state = null) {
+      return (byName.get(placeKey(city)) || [])
+        .filter((p) => !state || p[1] === state)
+        .sort((a, b) => (b[4] || 0) - (a[4] || 0))
+        .map(([name, st, lat, lng]) => ({ kind: "city", label: `${name}, ${st}`, lat, lng, precision: "city" }));
+    },
+  };
+}
+
+/**
+ * Town centers from the prescribers' own addresses (the average of each
+ * town's geocoded pins), so towns we have doctors in can be found even
+ * when they're too small for zip-centroids.json's places.
+ */
+export function placesFromPrescribers(prescribers, normalizeState) {
+  const towns = new Map();
+  for (const p of prescribers) {
+    const city = p.address?.city?.trim();
+    const state = normalizeState(p.address?.state);
+    if (!city || !state || !p.lat || !p.lng) continue;
+    const key = `${placeKey(city)}|${state}`;
+    if (!towns.has(key)) towns.set(key, { name: city, state, lat: 0, lng: 0, n: 0 });
+    const town = towns.get(key);
+    town.lat += p.lat;
+    town.lng += p.lng;
+    town.n++;
+  }
+  return [...towns.values()].map((t) => [t.name, t.state, round3(t.lat / t.n), round3(t.lng / t.n)]);
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+/**
+ * Candidate places for a parsed query, best first: [{ kind, label, lat,
+ * lng, precision, zip? }]. None means not found; more than one means the
+ * caller should ask which was meant. `zips` is the zip centroid table,
+ * `places` a createPlaceIndex, and `geocode(text)` (optional) resolves to
+ * { lat, lng, precision } or null. Without a geocoder, an address falls
+ * back to its zip's centroid.
+ */
+export async function resolveLocation(query, { zips, places, geocode = null }) {
+  if (query.kind === "zip") {
+    const ll = zips[query.zip];
+    return ll ? [{ kind: "zip", label: query.zip, zip: query.zip, lat: ll[0], lng: ll[1], precision: "zip" }] : [];
+  }
+
+  if (query.kind === "city") {
+    const found = places.find(query.city, query.state);
+    if (found.length || !geocode) return found;
+    const label = query.state ? `${query.city}, ${query.state}` : query.city;
+    const geo = await geocode(label);
+    return geo ? [{ kind: "city", label, lat: geo.lat, lng: geo.lng, precision: geo.precision || "city" }] : [];
+  }
+
+  const geo = geocode ? await geocode(query.address) : null;
+  const ll = geo ? [geo.lat, geo.lng] : query.zip && zips[query.zip];
+  if (!ll) return [];
+  return [
+    {
+      kind: "address",
+      label: query.address,
+      zip: query.zip,
+      lat: ll[0],
+      lng: ll[1],
+      precision: geo ? geo.precision || "street" : "zip",
+    },
+  ];
+}
@@ -0,0 +1,11 @@
+/**
+ * Referral outcomes an ambassador can record on a prescriber's
+ * ActiveCampaign contact, each with the AC tag it applies. Shared by the
+ * shortlist and server.js (lib/referrals.js).
+ */
+
+export const REFERRAL_OUTCOMES = {
+  contacted: { label: "Contacted", tag: "HOME2 Referral - Contacted" },
+  "referral-sent": { label: "Referral sent", tag: "HOME2 Referral - Referral Sent" },
+  declined: { label: "Declined", tag: "HOME2 Referral - Declined" },
+};
@@ -0,0 +1,31 @@
+/**
+ * US state name → code normalization, shared by the browser
+ * (public/js/app.js) and the pipeline and server (lib/us-states.js), so a
+ * state reads the same everywhere.
+ */
+
+// State name → 2-letter code normalization
+export const STATE_CODES = {
+  ALABAMA: "AL", ALASKA: "AK", ARIZONA: "AZ", ARKANSAS: "AR", CALIFORNIA: "CA",
+  COLORADO: "CO", CONNECTICUT: "CT", DELAWARE: "DE", FLORIDA: "FL", GEORGIA: "GA",
+  HAWAII: "HI", IDAHO: "ID", ILLINOIS: "IL", INDIANA: "IN", IOWA: "IA", KANSAS: "KS",
+  KENTUCKY: "KY", LOUISIANA: "LA", MAINE: "ME", MARYLAND: "MD", MASSACHUSETTS: "MA",
+  MICHIGAN: "MI", MINNESOTA: "MN", MISSISSIPPI: "MS", MISSOURI: "MO", MONTANA: "MT",
+  NEBRASKA: "NE", NEVADA: "NV", "NEW HAMPSHIRE": "NH", "NEW JERSEY": "NJ",
+  "NEW MEXICO": "NM", "NEW YORK": "NY", "NORTH CAROLINA": "NC", "NORTH DAKOTA": "ND",
+  OHIO: "OH", OKLAHOMA: "OK", OREGON: "OR", PENNSYLVANIA: "PA", "RHODE ISLAND": "RI",
+  "SOUTH CAROLINA": "SC", "SOUTH DAKOTA": "SD", TENNESSEE: "TN", TEXAS: "TX",
+  UTAH: "UT", VERMONT: "VT", VIRGINIA: "VA", WASHINGTON: "WA", "WEST VIRGINIA": "WV",
+  WISCONSIN: "WI", WYOMING: "WY", "DISTRICT OF COLUMBIA": "DC",
+};
+const VALID_CODES = new Set(Object.values(STATE_CODES));
+
+export function normalizeState(raw) {
+  if (!raw) return null;
+  const upper = raw.trim().toUpperCase();
+  // Already a valid 2-letter code
+  if (VALID_CODES.has(upper)) return upper;
+  // Full name → code
+  if (STATE_CODES[upper]) return STATE_CODES[upper];
+  return null; // Non-US or unrecognized
+}
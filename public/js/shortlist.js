@@ -0,0 +1,196 @@
+/**
+ * MyEyes Prescriber Map — Referral shortlist
+ * Prescribers picked for one patient, with call outcomes and notes. Kept in
+ * localStorage so it survives reloads, and exported as a CSV, a printable
+ * sheet or a pre-filled email to the patient.
+ */
+
+import { toCsv } from "./export.js";
+import { publicEmail } from "./shared/contacts.js";
+
+const STORAGE_KEY = "myeyes.shortlist.v1";
+
+// `share`: include the prescriber in what goes to the patient
+export const OUTCOMES = [
+  { value: "", label: "Not called yet", share: true },
+  { value: "accepting", label: "Called — accepting new patients", share: true },
+  { value: "not-accepting", label: "Called — not accepting patients", share: false },
+  { value: "no-answer", label: "No answer / left message", share: true },
+  { value: "wrong-number", label: "Wrong number", share: false },
+];
+
+const OUTCOME_LABELS = Object.fromEntries(OUTCOMES.map((o) => [o.value, o.label]));
+
+function emptyList() {
+  return { patientZip: "", updated: null, items: [] };
+}
+
+/**
+ * The shortlist store. Items snapshot the prescriber's contact details when
+ * added, so exports still work if the data is refreshed in the meantime.
+ */
+export function createShortlist(storage = window.localStorage) {
+  let list = load();
+  const listeners = [];
+
+  function load() {
+    try {
+      const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+      return saved && Array.isArray(saved.items) ? saved : emptyList();
+    } catch {
+      return emptyList();
+    }
+  }
+
+  // `reason` tells listeners what changed: add, remove, update, zip, clear
+  function save(reason) {
+    list.updated = new Date().toISOString();
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(list));
+    } catch (e) {
+      console.error("Could not save the shortlist:", e);
+    }
+    listeners.forEach((fn) => fn(list, reason));
+  }
+
+  const find = (id) => list.items.find((item) => item.id === String(id));
+
+  return {
+    get list() {
+      return list;
+    },
+    has: (id) => !!find(id),
+    onChange(fn) {
+      listeners.push(fn);
+    },
+
+    add(p, { patientZip } = {}) {
+      if (find(p.id)) return;
+      if (!list.items.length && patientZip) list.patientZip = patientZip;
+      list.items.push({
+        id: String(p.id),
+        name: p.name || "",
+        organization: p.organization || "",
+        specialty: p.specialty || "",
+        phone: p.phone || "",
+        email: publicEmail(p),
+        address: p.address?.full || "",
+        distance: p.distance ?? null,
+        driveMinutes: p.driveMinutes ?? null,
+        outcome: "",
+        notes: "",
+        added: new Date().toISOString(),
+      });
+      save("add");
+    },
+
+    remove(id) {
+      list.items = list.items.filter((item) => item.id !== String(id));
+      save("remove");
+    },
+
+    toggle(p, options) {
+      if (find(p.id)) this.remove(p.id);
+      else this.add(p, options);
+    },
+
+    update(id, changes) {
+      const item = find(id);
+      if (!item) return;
+      Object.assign(item, changes);
+      save("update");
+    },
+
+    setPatientZip(zip) {
+      list.patientZip = zip;
+      save("zip");
+    },
+
+    clear() {
+      list = emptyList();
+      save("clear");
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+export function outcomeLabel(value) {
+  return OUTCOME_LABELS[value] || value;
+}
+
+function travel(item) {
+  if (item.driveMinutes != null) return `${Math.round(item.driveMinutes)} min drive`;
+  if (item.distance != null) return `${item.distance.toFixed(1)} mi`;
+  return "";
+}
+
+export function shortlistCsv(list) {
+  const header = ["Name", "Organization", "Specialty", "Phone", "Email", "Address", "Distance", "Outcome", "Notes"];
+  const rows = list.items.map((item) => [
+    item.name,
+    item.organization,
+    item.specialty,
+    item.phone,
+    item.email,
+    item.address,
+    travel(item),
+    outcomeLabel(item.outcome),
+    item.notes,
+  ]);
+  return toCsv([header, ...rows]);
+}
+
+/** Prescribers worth passing on to the patient (not ruled out by a call). */
+export function shareableItems(list) {
+  const share = new Set(OUTCOMES.filter((o) => o.share).map((o) => o.value));
+  return list.items.filter((item) => share.has(item.outcome));
+}
+
+/** A mailto: link with the shareable prescribers filled in. */
+export function patientEmailUrl(list) {
+  const items = shareableItems(list);
+  const near = list.patientZip ? ` near ${list.patientZip}` : "";
+  const lines = [
+    `Here are doctors${near} who can write a prescription for HOME2:`,
+    "",
+    ...items.flatMap((item, i) =>
+      [
+        `${i + 1}. ${item.name}${item.specialty ? ` (${item.specialty})` : ""}`,
+        item.organization ? `   ${item.organization}` : null,
+        item.address ? `   ${item.address}` : null,
+        item.phone ? `   Phone: ${item.phone}` : null,
+        item.outcome === "accepting" ? "   Accepting new patients" : null,
+        "",
+      ].filter((line) => line !== null)
+    ),
+    "Please let us know if you have any questions.",
+  ];
+  const subject = "Doctors who can prescribe HOME2";
+  return `mailto:?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(lines.join("\n"))}`;
+}
+
+/** HTML for the printable sheet; `esc` escapes text for HTML. */
+export function printableSheet(list, esc) {
+  const rows = list.items
+    .map(
+      (item) => `
+      <tr>
+        <td><strong>${esc(item.name)}</strong>${item.specialty ? "<br>" + esc(item.specialty) : ""}${item.organization ? "<br>" + esc(item.organization) : ""}</td>
+        <td>${esc(item.address)}</td>
+        <td>${esc(item.phone)}${item.email ? "<br>" + esc(item.email) : ""}</td>
+        <td>${esc(travel(item))}</td>
+        <td>${esc(outcomeLabel(item.outcome))}${item.notes ? "<br><em>" + esc(item.notes) + "</em>" : ""}</td>
+      </tr>`
+    )
+    .join("");
+  return `
+    <h1>Prescriber shortlist${list.patientZip ? " — patient zip " + esc(list.patientZip) : ""}</h1>
+    <p>Printed ${esc(new Date().toLocaleString())}</p>
+    <table>
+      <thead><tr><th>Prescriber</th><th>Address</th><th>Contact</th><th>Distance</th><th>Outcome / notes</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
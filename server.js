@@ -0,0 +1,595 @@
+#!/usr/bin/env node
+/**
+ * Server mode: serves public/ only to signed-in users. Credentials are
+ * scrypt-hashed per user in a local file; sessions are signed cookies that
+ * expire after SESSION_TTL_HOURS.
+ *
+ * prescribers.json itself is never served: the map loads a directory
+ * without phone numbers or emails, and asks for those only for the records
+ * it shows in a popup, shortlists or exports:
+ *   GET /api/prescribers
+ *   POST /api/prescribers/contacts  {"ids": ["1011", "1012"]}
+ *
+ * Also answers search queries so clients don't need the whole dataset:
+ *   GET /api/prescribers/near?zip=07030&radius=25&state=NJ&specialty=…
+ *   GET /api/prescribers/near?zip=07030&mode=drive&minutes=30
+ *   GET /api/locate?q=Springfield, IL
+ *   GET /api/prescribers/:id
+ *
+ * and records referral outcomes on the prescriber's ActiveCampaign contact
+ * (the API key stays on the server):
+ *   POST /api/prescribers/:id/outcome  {"outcome": "referral-sent", "note": "…"}
+ *
+ * Usage:
+ *   node server.js                 # http://localhost:8080
+ *   npm run users -- add alice     # Create a login (see manage-users.js)
+ *
+ * Environment:
+ *   PORT               Port to listen on (default 8080; Render sets it)
+ *   SESSION_SECRET     Key for signing session cookies (required in production)
+ *   SESSION_TTL_HOURS  Session lifetime (default 12)
+ *   USERS_FILE         Users file (default data/users.json)
+ *   ROUTER             Drive-time routers to try, e.g. "osrm" (default: estimate only)
+ *   OSRM_URL           OSRM server for ROUTER=osrm (default http://localhost:5000)
+ *   ACTIVECAMPAIGN_URL, ACTIVECAMPAIGN_API_KEY
+ *                      Enable recording outcomes (a host or a full URL, e.g. a mock)
+ *   AC_OUTCOME_FIELD_ID Optional contact field to hold the latest outcome
+ *   LOCATE_GEOCODER    Geocoders for patient street addresses (default: GEOCODER,
+ *                      else "census,nominatim,offline"; "offline" keeps them local)
+ *   OFFLINE_ADDRESSES, GOOGLE_PLACES_API_KEY  As for fetch-prescribers.js
+ */
+
+import "dotenv/config";
+import { createServer } from "http";
+import { createReadStream, existsSync, statSync, readFileSync } from "fs";
+import { dirname, join, extname, normalize, sep } from "path";
+import { fileURLToPath } from "url";
+import { randomBytes } from "crypto";
+import { gzipSync } from "zlib";
+import {
+  SESSION_COOKIE,
+  authenticate,
+  createSession,
+  readSession,
+  isActiveUser,
+  parseCookies,
+  sessionCookie,
+  createLoginThrottle,
+} from "./lib/auth.js";
+import { createPrescriberIndex } from "./lib/search.js";
+import { buildRouterChain, driveTimeArea } from "./lib/routing.js";
+import { normalizeState } from "./lib/us-states.js";
+import { buildProviders, createGeocoderChain } from "./lib/geocoders.js";
+import {
+  parseLocationQuery,
+  resolveLocation,
+  createPlaceIndex,
+} from "./public/js/shared/locations.js";
+import { contactsOf } from "./public/js/shared/contacts.js";
+import { createAcClient } from "./lib/activecampaign.js";
+import { createOutcomeRecorder, validateOutcome } from "./lib/referrals.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PUBLIC_DIR = join(__dirname, "public");
+const PRESCRIBERS_PATH = join(PUBLIC_DIR, "prescribers.json");
+const ZIP_CENTROIDS_PATH = join(PUBLIC_DIR, "zip-centroids.json");
+
+const PORT = parseInt(process.env.PORT || "8080", 10);
+const USERS_FILE = process.env.USERS_FILE || join(__dirname, "data", "users.json");
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 3600 * 1000;
+const SESSION_SECRET = process.env.SESSION_SECRET || randomBytes(32).toString("hex");
+// Behind a reverse proxy (Render), which appends the client's address to
+// X-Forwarded-For and sets X-Forwarded-Proto
+const TRUST_PROXY = process.env.TRUST_PROXY === "1";
+const ROUTER = process.env.ROUTER || "estimate";
+const OSRM_URL = process.env.OSRM_URL || "http://localhost:5000";
+const AC_BASE_URL = process.env.ACTIVECAMPAIGN_URL;
+const AC_API_KEY = process.env.ACTIVECAMPAIGN_API_KEY;
+const AC_OUTCOME_FIELD_ID = process.env.AC_OUTCOME_FIELD_ID || null;
+const LOCATE_GEOCODER =
+  process.env.LOCATE_GEOCODER || process.env.GEOCODER || "census,nominatim,offline";
+
+// Reachable without a session: the login page and what it needs
+const OPEN_PATHS = new Set([
+  "/login",
+  "/login.html",
+  "/css/style.css",
+  "/js/login.js",
+  "/api/login",
+  "/api/logout",
+]);
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+};
+const COMPRESSIBLE = new Set([".html", ".js", ".css", ".json", ".svg"]);
+
+const loginThrottle = createLoginThrottle();
+const router = buildRouterChain(ROUTER, { osrmUrl: OSRM_URL });
+// Null when AC isn't configured; the outcome endpoint then answers 503
+const outcomes =
+  AC_BASE_URL && AC_API_KEY
+    ? createOutcomeRecorder(createAcClient({ baseUrl: AC_BASE_URL, apiKey: AC_API_KEY, retries: 2 }), {
+        outcomeFieldId: AC_OUTCOME_FIELD_ID,
+      })
+    : null;
+
+// Patient addresses typed into the map's search box
+const geocoder = createGeocoderChain(
+  buildProviders(LOCATE_GEOCODER, {
+    googleKey: process.env.GOOGLE_PLACES_API_KEY,
+    zipCentroidsPath: ZIP_CENTROIDS_PATH,
+    addressesPath: process.env.OFFLINE_ADDRESSES || null,
+  })
+);
+
+// Search radius limits (miles) and result caps for /api/prescribers/near
+const DEFAULT_RADIUS = 25;
+const MAX_RADIUS = 500;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const DEFAULT_MINUTES = 30;
+const MAX_MINUTES = 120;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Content-Type": MIME_TYPES[".json"],
+    "Cache-Control": "no-store",
+    ...headers,
+  });
+  res.end(JSON.stringify(body));
+}
+
+async function readJsonBody(req, limit = 16 * 1024) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw Object.assign(new Error("Request body too large"), { status: 413 });
+    chunks.push(chunk);
+  }
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString() || "{}");
+  } catch {
+    throw badRequest("Invalid JSON body");
+  }
+  // Handlers destructure it, so `null`, arrays and bare values are refused
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw badRequest("JSON body must be an object");
+  }
+  return body;
+}
+
+// decodeURIComponent, answering 400 for bad percent-encoding ("/%")
+function decodePathPart(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    throw badRequest("Malformed URL");
+  }
+}
+
+function clientIp(req) {
+  // Only the last entry, added by our proxy, can be trusted: the client can
+  // send any X-Forwarded-For it likes and the proxy appends to it
+  if (!TRUST_PROXY) return req.socket.remoteAddress;
+  return (req.headers["x-forwarded-for"] || "").split(",").pop().trim() || req.socket.remoteAddress;
+}
+
+function isSecure(req) {
+  // Only our proxy's X-Forwarded-Proto means anything; without one, a
+  // client could send the header itself
+  return TRUST_PROXY && req.headers["x-forwarded-proto"] === "https";
+}
+
+function wantsHtml(req, pathname) {
+  return !extname(pathname) || (req.headers.accept || "").includes("text/html");
+}
+
+// Gzipped copies of static files, keyed by path + mtime
+const gzipCache = new Map();
+
+function serveFile(req, res, filePath, cacheControl) {
+  const ext = extname(filePath);
+  const stat = statSync(filePath);
+  const headers = {
+    "Content-Type": MIME_TYPES[ext] || "application/octet-stream",
+    "Cache-Control": cacheControl,
+    "Last-Modified": stat.mtime.toUTCString(),
+  };
+
+  if (COMPRESSIBLE.has(ext) && /\bgzip\b/.test(req.headers["accept-encoding"] || "")) {
+    const key = `${filePath}:${stat.mtimeMs}`;
+    if (!gzipCache.has(key)) gzipCache.set(key, gzipSync(readFileSync(filePath)));
+    const body = gzipCache.get(key);
+    res.writeHead(200, { ...headers, "Content-Encoding": "gzip", "Content-Length": body.length, Vary: "Accept-Encoding" });
+    res.end(req.method === "HEAD" ? undefined : body);
+    return;
+  }
+
+  res.writeHead(200, { ...headers, "Content-Length": stat.size });
+  if (req.method === "HEAD") return res.end();
+  createReadStream(filePath).pipe(res);
+}
+
+/** Map a URL path to a file in public/, or null if there isn't one. */
+function resolvePublicFile(pathname) {
+  const filePath = normalize(join(PUBLIC_DIR, decodePathPart(pathname)));
+  if (filePath !== PUBLIC_DIR && !filePath.startsWith(PUBLIC_DIR + sep)) return null;
+  if (!existsSync(filePath)) return null;
+  return statSync(filePath).isDirectory()
+    ? existsSync(join(filePath, "index.html")) ? join(filePath, "index.html") : null
+    : filePath;
+}
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Parse a JSON file once and re-parse it only when its mtime changes, so a
+ * redeployed prescribers.json is picked up without a restart.
+ */
+function cachedJson(path, build = (data) => data) {
+  let cache = { mtimeMs: 0, value: null };
+  return function load() {
+    const { mtimeMs } = statSync(path);
+    if (cache.mtimeMs !== mtimeMs) {
+      cache = { mtimeMs, value: build(JSON.parse(readFileSync(path, "utf8"))) };
+    }
+    return cache.value;
+  };
+}
+
+const loadPrescriberIndex = cachedJson(PRESCRIBERS_PATH, createPrescriberIndex);
+const loadCentroidTable = cachedJson(ZIP_CENTROIDS_PATH);
+const loadZipCentroids = () => loadCentroidTable().zips || {};
+
+// Towns from zip-centroids.json, plus the towns prescribers are in; rebuilt
+// when either file changes
+let placeCache = { table: null, index: null, places: null };
+function loadPlaceIndex() {
+  const table = loadCentroidTable();
+  const index = loadPrescriberIndex();
+  if (placeCache.table !== table || placeCache.index !== index) {
+    placeCache = { table, index, places: createPlaceIndex(table.places || [], index.towns) };
+  }
+  return placeCache.places;
+}
+
+// ---------------------------------------------------------------------------
+// Auth endpoints
+// ---------------------------------------------------------------------------
+
+async function handleLogin(req, res) {
+  const ip = clientIp(req);
+  if (loginThrottle.isLocked(ip)) {
+    return sendJson(res, 429, { error: "Too many failed attempts. Try again in a few minutes." });
+  }
+
+  const { username, password } = await readJsonBody(req);
+  const user = authenticate(USERS_FILE, username, password);
+  if (!user) {
+    loginThrottle.fail(ip);
+    return sendJson(res, 401, { error: "Incorrect username or password" });
+  }
+
+  loginThrottle.reset(ip);
+  const token = createSession(user, SESSION_SECRET, SESSION_TTL_MS);
+  const session = readSession(token, SESSION_SECRET);
+  console.log(`Login: ${user.username} (${ip})`);
+  sendJson(
+    res,
+    200,
+    { user: { username: user.username, name: user.name }, expiresAt: session.expiresAt },
+    { "Set-Cookie": sessionCookie(token, { maxAgeSecs: SESSION_TTL_MS / 1000, secure: isSecure(req) }) }
+  );
+}
+
+function handleLogout(req, res) {
+  sendJson(res, 200, { ok: true }, {
+    "Set-Cookie": sessionCookie("", { maxAgeSecs: 0, secure: isSecure(req) }),
+  });
+}
+
+function handleSession(req, res, session) {
+  sendJson(res, 200, {
+    user: { username: session.username, name: session.name },
+    expiresAt: session.expiresAt,
+    // Optional server features the page can offer
+    features: { recordOutcomes: !!outcomes },
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Search endpoints
+// ---------------------------------------------------------------------------
+
+function numberParam(url, name, { min, max, fallback }) {
+  const raw = url.searchParams.get(name);
+  if (raw === null || raw === "") return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw badRequest(`${name} must be a number from ${min} to ${max}`);
+  }
+  return value;
+}
+
+async function handleNear(req, res, session, url) {
+  const params = url.searchParams;
+  const mode = params.get("mode") || "distance";
+  if (mode !== "distance" && mode !== "drive") throw badRequest('mode must be "distance" or "drive"');
+  const radius = numberParam(url, "radius", { min: 0, max: MAX_RADIUS, fallback: DEFAULT_RADIUS });
+  const minutes = numberParam(url, "minutes", { min: 1, max: MAX_MINUTES, fallback: DEFAULT_MINUTES });
+  const limit = numberParam(url, "limit", { min: 1, max: MAX_LIMIT, fallback: DEFAULT_LIMIT });
+
+  let lat, lng;
+  const zip = params.get("zip")?.trim() || null;
+  if (zip) {
+    if (!/^\d{5}$/.test(zip)) throw badRequest("zip must be 5 digits");
+    const ll = loadZipCentroids()[zip];
+    if (!ll) return sendJson(res, 404, { error: `Unknown zip code: ${zip}` });
+    [lat, lng] = ll;
+  } else if (params.get("lat") && params.get("lng")) {
+    lat = numberParam(url, "lat", { min: -90, max: 90 });
+    lng = numberParam(url, "lng", { min: -180, max: 180 });
+  } else {
+    throw badRequest("Pass zip, or lat and lng");
+  }
+
+  const state = params.get("state")?.trim() || null;
+  if (state && !normalizeState(state)) throw badRequest(`Unknown state: ${state}`);
+  const specialty = params.get("specialty")?.trim() || null;
+
+  const index = loadPrescriberIndex();
+  const query = { zip, lat, lng, mode, state: state && normalizeState(state), specialty };
+  const meta = { generated: index.generated, schemaVersion: index.schemaVersion };
+
+  if (mode === "distance") {
+    const { total, results } = index.near(lat, lng, {
+      radius,
+      state,
+      specialty,
+      limit: Math.floor(limit),
+    });
+    return sendJson(res, 200, { query: { ...query, radius }, ...meta, total, prescribers: results });
+  }
+
+  // Drive time: rank by routed minutes and outline the reachable area
+  const [search, area] = await Promise.all([
+    index.nearByDrive(router, lat, lng, { minutes, state, specialty, limit: Math.floor(limit) }),
+    driveTimeArea(router, { lat, lng }, minutes),
+  ]);
+  sendJson(res, 200, {
+    query: { ...query, minutes },
+    ...meta,
+    routing: search.source,
+    area: area.polygon,
+    total: search.total,
+    prescribers: search.results,
+  });
+}
+
+// Resolve a search box entry (zip, ZIP+4, "City, ST" or street address) to
+// candidate places; several when a town name is ambiguous
+async function handleLocate(req, res, session, url) {
+  const q = url.searchParams.get("q") || "";
+  if (q.length > 200) throw badRequest("q must be at most 200 characters");
+  const query = parseLocationQuery(q, normalizeState);
+  if (!query) throw badRequest("Pass q, a zip code, city or address");
+
+  const candidates = await resolveLocation(query, {
+    zips: loadZipCentroids(),
+    places: loadPlaceIndex(),
+    geocode: (text) => geocoder.geocode(text),
+  });
+  sendJson(res, 200, { query, candidates });
+}
+
+// Everyone, for the map and the filters, minus their contact details.
+// Serialized and gzipped once per prescribers.json.
+let directoryCache = { index: null, json: null, gzip: null };
+function handleDirectory(req, res) {
+  const index = loadPrescriberIndex();
+  if (directoryCache.index !== index) {
+    const json = JSON.stringify(index.directory());
+    directoryCache = { index, json, gzip: gzipSync(json) };
+  }
+  const gzip = /\bgzip\b/.test(req.headers["accept-encoding"] || "");
+  res.writeHead(200, {
+    "Content-Type": MIME_TYPES[".json"],
+    "Cache-Control": "no-store",
+    ...(gzip ? { "Content-Encoding": "gzip", Vary: "Accept-Encoding" } : {}),
+  });
+  res.end(gzip ? directoryCache.gzip : directoryCache.json);
+}
+
+// Phone numbers and emails for the records the page is showing; unknown
+// ids are left out
+async function handleContacts(req, res) {
+  const { ids } = await readJsonBody(req);
+  if (!Array.isArray(ids) || ids.some((id) => typeof id !== "string")) {
+    throw badRequest("ids must be an array of strings");
+  }
+  if (ids.length > MAX_LIMIT) throw badRequest(`At most ${MAX_LIMIT} ids at a time`);
+
+  const index = loadPrescriberIndex();
+  const contacts = {};
+  for (const id of ids) {
+    const p = index.get(id);
+    if (p) contacts[p.id] = contactsOf(p);
+  }
+  sendJson(res, 200, { contacts });
+}
+
+function handlePrescriber(req, res, session, url, { id }) {
+  const prescriber = loadPrescriberIndex().get(id);
+  if (!prescriber) return sendJson(res, 404, { error: `No prescriber ${id}` });
+  sendJson(res, 200, { prescriber });
+}
+
+// ---------------------------------------------------------------------------
+// CRM write-back
+// ---------------------------------------------------------------------------
+
+async function handleOutcome(req, res, session, url, { id }) {
+  if (!outcomes) return sendJson(res, 503, { error: "ActiveCampaign is not configured on this server" });
+
+  const body = await readJsonBody(req);
+  const invalid = validateOutcome(body);
+  if (invalid) throw badRequest(invalid);
+  const prescriber = loadPrescriberIndex().get(id);
+  if (!prescriber) return sendJson(res, 404, { error: `No prescriber ${id}` });
+
+  let recorded;
+  try {
+    recorded = await outcomes.record(prescriber.contactIds || [prescriber.id], {
+      outcome: body.outcome,
+      note: body.note || "",
+      by: { username: session.username, name: session.name },
+    });
+  } catch (err) {
+    console.error(`Outcome for ${prescriber.id} not recorded:`, err.message);
+    return sendJson(res, 502, { error: "ActiveCampaign did not accept the update. Try again later." });
+  }
+  console.log(`Outcome: ${session.username} marked ${prescriber.id} ${body.outcome}`);
+  sendJson(res, 200, {
+    prescriber: { id: prescriber.id, name: prescriber.name },
+    ...recorded,
+    recordedAt: new Date().toISOString(),
+  });
+}
+
+// "METHOD /path" → handler(req, res, session, url, params); ":name"
+// segments match any one path segment and are passed in params
+const API_ROUTES = {
+  "POST /api/login": handleLogin,
+  "POST /api/logout": handleLogout,
+  "GET /api/session": handleSession,
+  "GET /api/prescribers": handleDirectory,
+  "POST /api/prescribers/contacts": handleContacts,
+  "GET /api/prescribers/near": handleNear,
+  "GET /api/locate": handleLocate,
+  "GET /api/prescribers/:id": handlePrescriber,
+  "POST /api/prescribers/:id/outcome": handleOutcome,
+};
+
+function matchRoute(method, pathname) {
+  if (API_ROUTES[`${method} ${pathname}`]) {
+    return { handler: API_ROUTES[`${method} ${pathname}`], params: {} };
+  }
+  const segments = pathname.split("/");
+  for (const [key, handler] of Object.entries(API_ROUTES)) {
+    const [routeMethod, routePath] = key.split(" ");
+    const routeSegments = routePath.split("/");
+    if (routeMethod !== method || routeSegments.length !== segments.length) continue;
+
+    const params = {};
+    const matches = routeSegments.every((seg, i) => {
+      if (seg.startsWith(":")) {
+        params[seg.slice(1)] = decodePathPart(segments[i]);
+        return segments[i] !== "";
+      }
+      return seg === segments[i];
+    });
+    if (matches) return { handler, params };
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Request handling
+// ---------------------------------------------------------------------------
+
+async function handle(req, res) {
+  let url;
+  try {
+    url = new URL(req.url, "http://localhost");
+  } catch {
+    throw badRequest("Malformed URL");
+  }
+  const pathname = url.pathname;
+
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("X-Frame-Options", "DENY");
+  res.setHeader("Referrer-Policy", "same-origin");
+
+  let session = readSession(parseCookies(req.headers.cookie)[SESSION_COOKIE], SESSION_SECRET);
+  if (session && !isActiveUser(USERS_FILE, session.username)) session = null;
+
+  if (!session && !OPEN_PATHS.has(pathname)) {
+    if (!pathname.startsWith("/api/") && wantsHtml(req, pathname)) {
+      const next = encodeURIComponent(pathname + url.search);
+      res.writeHead(302, { Location: `/login?next=${next}`, "Cache-Control": "no-store" });
+      return res.end();
+    }
+    return sendJson(res, 401, { error: "Not signed in" });
+  }
+
+  // Sliding expiry: re-issue the cookie once a session is half used up
+  if (session && Date.parse(session.expiresAt) - Date.now() < SESSION_TTL_MS / 2) {
+    const token = createSession(session, SESSION_SECRET, SESSION_TTL_MS);
+    res.setHeader("Set-Cookie", sessionCookie(token, { maxAgeSecs: SESSION_TTL_MS / 1000, secure: isSecure(req) }));
+  }
+
+  const route = matchRoute(req.method, pathname);
+  if (route) return route.handler(req, res, session, url, route.params);
+  if (pathname.startsWith("/api/")) return sendJson(res, 404, { error: "Not found" });
+
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    return sendJson(res, 405, { error: "Method not allowed" });
+  }
+
+  if (pathname === "/login") {
+    if (session) {
+      res.writeHead(302, { Location: "/" });
+      return res.end();
+    }
+    return serveFile(req, res, join(PUBLIC_DIR, "login.html"), "no-store");
+  }
+
+  // Same rewrite as the static site: unknown extensionless paths get the app
+  let filePath = resolvePublicFile(pathname);
+  if (!filePath && !extname(pathname)) filePath = join(PUBLIC_DIR, "index.html");
+  // Contact details only go out through the API (see handleDirectory)
+  if (!filePath || filePath === PRESCRIBERS_PATH) return sendJson(res, 404, { error: "Not found" });
+
+  const cacheControl = OPEN_PATHS.has(pathname)
+    ? "public, max-age=300"
+    : extname(filePath) === ".html" || extname(filePath) === ".json"
+      ? "private, no-cache"
+      : "private, max-age=300";
+  serveFile(req, res, filePath, cacheControl);
+}
+
+function main() {
+  if (!process.env.SESSION_SECRET) {
+    console.warn("SESSION_SECRET is not set — using a random key; sessions end when the server restarts.");
+  }
+  if (!existsSync(USERS_FILE)) {
+    console.warn(`No users file at ${USERS_FILE} — add a login with: npm run users -- add <username>`);
+  }
+
+  createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      if (!err.status) console.error("Request failed:", err);
+      if (!res.headersSent) sendJson(res, err.status || 500, { error: err.status ? err.message : "Server error" });
+      else res.end();
+    });
+  }).listen(PORT, () => {
+    console.log(`MyEyes Prescriber Map listening on http://localhost:${PORT}`);
+  });
+}
+
+main();
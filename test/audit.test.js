@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { auditPrescriber, auditPrescribers } from "../lib/audit.js";
+
+// A clean record: every check passes
+const hoboken = {
+  id: "1",
+  name: "Jane Smith",
+  npi: "1234567893",
+  phone: "(201) 555-0100",
+  email: "jsmith@example.com",
+  address: { street: "1 Hudson Pl", city: "Hoboken", state: "NJ", zip: "07030", full: "1 Hudson Pl, Hoboken, NJ, 07030" },
+  lat: 40.736,
+  lng: -74.029,
+  geoPrecision: "street",
+};
+
+const codes = (p) => auditPrescriber(p).map((i) => i.code);
+
+test("auditPrescriber passes a clean record", () => {
+  assert.deepEqual(codes(hoboken), []);
+});
+
+test("auditPrescriber flags zips that don't fit the state", () => {
+  assert.deepEqual(codes({ ...hoboken, address: { ...hoboken.address, zip: "7030" } }), ["malformed-zip"]);
+  assert.deepEqual(codes({ ...hoboken, address: { ...hoboken.address, zip: "10001" } }), ["zip-state-mismatch"]);
+});
+
+test("auditPrescriber flags pins outside the state and city-only pins", () => {
+  assert.deepEqual(codes({ ...hoboken, lat: 34.05, lng: -118.24 }), ["outside-state"]);
+  assert.deepEqual(codes({ ...hoboken, geoPrecision: "city" }), ["city-only"]);
+  assert.deepEqual(codes({ ...hoboken, lat: null, lng: null }), ["not-geocoded"]);
+});
+
+test("auditPrescriber checks the NPI, phone and email", () => {
+  assert.deepEqual(codes({ ...hoboken, npi: null }), ["missing-npi"]);
+  assert.deepEqual(codes({ ...hoboken, npi: "1234567890" }), ["invalid-npi"]);
+  assert.deepEqual(codes({ ...hoboken, nppes: { status: "not-found" } }), ["npi-mismatch"]);
+  assert.deepEqual(codes({ ...hoboken, phone: "555-0100" }), ["malformed-phone"]);
+  assert.deepEqual(codes({ ...hoboken, phone: "201-555-0100 ext. 12" }), []);
+  assert.deepEqual(codes({ ...hoboken, email: "jsmith@example" }), ["malformed-email"]);
+});
+
+test("auditPrescribers counts issues and links flagged contacts", () => {
+  const report = auditPrescribers(
+    [hoboken, { id: "2", name: "No Address", npi: "1234567893", address: {} }],
+    (id) => `https://example.com/contacts/${id}`
+  );
+  assert.equal(report.total, 2);
+  assert.equal(report.flagged, 1);
+  assert.equal(report.counts["no-address"], 1);
+  assert.equal(report.records[0].contactUrl, "https://example.com/contacts/2");
+});
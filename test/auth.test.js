@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createLoginThrottle,
+  createSession,
+  hashPassword,
+  parseCookies,
+  readSession,
+  sessionCookie,
+  verifyPassword,
+} from "../lib/auth.js";
+
+const SECRET = "test-secret";
+const HOUR = 3600 * 1000;
+const USER = { username: "alice", name: "Alice" };
+
+test("passwords verify against their own hash only", () => {
+  const hash = hashPassword("correct horse");
+  assert.match(hash, /^scrypt\$32768\$8\$1\$/);
+  assert.equal(verifyPassword("correct horse", hash), true);
+  assert.equal(verifyPassword("wrong horse", hash), false);
+  assert.equal(verifyPassword("correct horse", "not-a-hash"), false);
+});
+
+test("a session reads back with its user and expiry", () => {
+  const before = Date.now();
+  const session = readSession(createSession(USER, SECRET, HOUR), SECRET);
+  assert.equal(session.username, "alice");
+  assert.equal(session.name, "Alice");
+  assert.ok(Date.parse(session.expiresAt) >= before + HOUR - 1000);
+});
+
+test("a session signed with another secret is rejected", () => {
+  assert.equal(readSession(createSession(USER, "other-secret", HOUR), SECRET), null);
+});
+
+test("a tampered session is rejected", () => {
+  const [, sig] = createSession(USER, SECRET, HOUR).split(".");
+  const forged = Buffer.from(
+    JSON.stringify({ u: "admin", n: "Admin", exp: Date.now() + HOUR })
+  ).toString("base64url");
+  assert.equal(readSession(`${forged}.${sig}`, SECRET), null);
+  assert.equal(readSession(`${forged}.`, SECRET), null);
+  assert.equal(readSession("garbage", SECRET), null);
+  assert.equal(readSession(undefined, SECRET), null);
+});
+
+test("an expired session is rejected", () => {
+  assert.equal(readSession(createSession(USER, SECRET, -1000), SECRET), null);
+});
+
+test("parseCookies decodes values and skips malformed ones", () => {
+  assert.deepEqual(parseCookies("a=1; myeyes_session=x%2Ey; bad=%; flag"), {
+    a: "1",
+    myeyes_session: "x.y",
+  });
+  assert.deepEqual(parseCookies(undefined), {});
+});
+
+test("the session cookie is Secure only when asked", () => {
+  assert.equal(
+    sessionCookie("tok", { maxAgeSecs: 60, secure: false }),
+    "myeyes_session=tok; Path=/; HttpOnly; SameSite=Lax; Max-Age=60"
+  );
+  assert.match(sessionCookie("tok", { maxAgeSecs: 60, secure: true }), /; Secure$/);
+});
+
+test("logins lock out after too many failures, per key", () => {
+  const throttle = createLoginThrottle({ max: 3, windowMs: HOUR });
+  for (let i = 0; i < 3; i++) {
+    assert.equal(throttle.isLocked("1.2.3.4"), false);
+    throttle.fail("1.2.3.4");
+  }
+  assert.equal(throttle.isLocked("1.2.3.4"), true);
+  assert.equal(throttle.isLocked("5.6.7.8"), false);
+  throttle.reset("1.2.3.4");
+  assert.equal(throttle.isLocked("1.2.3.4"), false);
+});
+
+test("failures older than the window no longer count", () => {
+  const throttle = createLoginThrottle({ max: 1, windowMs: -1 });
+  throttle.fail("1.2.3.4");
+  assert.equal(throttle.isLocked("1.2.3.4"), false);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { analyzeCoverage } from "../public/js/coverage.js";
+
+// Hoboken has a prescriber; El Paso and a nearby rural zip don't
+const ZIPS = {
+  "07030": [40.745, -74.028, 53635],
+  79901: [31.759, -106.487, 815552],
+  79938: [31.832, -106.08],
+};
+const PRESCRIBERS = [{ id: "1", name: "Jane Smith", lat: 40.736, lng: -74.029 }];
+
+test("gaps are ranked by population and named after the most populous zip", async () => {
+  const result = await analyzeCoverage(ZIPS, PRESCRIBERS, { thresholdMiles: 50 });
+  assert.equal(result.hasPopulation, true);
+  assert.equal(result.population, 53635 + 815552);
+  assert.deepEqual(result.uncovered, { zips: 2, population: 815552 });
+  assert.equal(result.gaps.length, 1);
+  assert.equal(result.gaps[0].zip, "79901");
+  assert.equal(result.gaps[0].zips, 2);
+  assert.equal(result.gaps[0].distance, Infinity);
+});
+
+test("without populations every zip counts as one", async () => {
+  const zips = Object.fromEntries(Object.entries(ZIPS).map(([zip, [lat, lng]]) => [zip, [lat, lng]]));
+  const result = await analyzeCoverage(zips, PRESCRIBERS);
+  assert.equal(result.hasPopulation, false);
+  assert.deepEqual(result.uncovered, { zips: 2, population: 2 });
+});
+
+test("a cancelled analysis resolves to null", async () => {
+  // Enough zips for a pause, where the cancellation is noticed
+  const zips = {};
+  for (let i = 0; i < 5000; i++) zips[String(10000 + i)] = [40 + i / 5000, -74];
+  assert.equal(await analyzeCoverage(zips, PRESCRIBERS, { isCancelled: () => true }), null);
+});
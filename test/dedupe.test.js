@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { findDuplicates } from "../lib/dedupe.js";
+
+const at = (id, name, full) => ({ id, name, address: { full } });
+
+test("findDuplicates matches names with credentials after them", () => {
+  const { groups } = findDuplicates([
+    at("1", "Dr. Jane Smith, OD", "1 Main St, Austin, TX, 78701"),
+    at("2", "jane smith od", "1 Main St, Austin, TX, 78701"),
+  ]);
+  assert.equal(groups.length, 1);
+});
+
+test("findDuplicates keeps surnames that look like credentials", () => {
+  const { groups } = findDuplicates([
+    at("1", "Minh Do", "1 Main St, Austin, TX, 78701"),
+    at("2", "minh do", "1 Main St, Austin, TX, 78701"),
+    at("3", "Minh Tran", "1 Main St, Austin, TX, 78701"),
+  ]);
+  assert.deepEqual(groups.map((g) => g.members.map((p) => p.id)), [["1", "2"]]);
+});
@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { diffSnapshots, formatDiffMarkdown, summarizeDiff } from "../lib/diff.js";
+
+function prescriber(id, overrides = {}) {
+  return {
+    id,
+    contactIds: [id],
+    name: `Doctor ${id}`,
+    email: `dr${id}@example.com`,
+    phone: null,
+    organization: null,
+    address: { city: "Hoboken", state: "NJ", full: "1 Hudson Pl, Hoboken, NJ, 07030" },
+    lat: 40.736,
+    lng: -74.029,
+    ...overrides,
+  };
+}
+
+test("identical snapshots have no changes", () => {
+  const snapshot = [prescriber("1"), prescriber("2")];
+  const diff = diffSnapshots(snapshot, snapshot);
+  assert.equal(
+    summarizeDiff(diff),
+    "+0 added, -0 removed, 0 merged, 0 moved, 0 contact changes, 0 newly unmapped"
+  );
+  assert.match(formatDiffMarkdown(diff, { prevGenerated: "a", nextGenerated: "b" }), /No changes\.\n$/);
+});
+
+test("added, removed and merged records are told apart", () => {
+  const prev = [prescriber("1"), prescriber("2"), prescriber("3")];
+  const next = [prescriber("1", { contactIds: ["1", "2"] }), prescriber("4")];
+  const diff = diffSnapshots(prev, next);
+  assert.deepEqual(diff.added.map((p) => p.id), ["4"]);
+  assert.deepEqual(diff.removed.map((p) => p.id), ["3"]);
+  assert.deepEqual(diff.merged.map(({ p, into }) => [p.id, into.id]), [["2", "1"]]);
+});
+
+test("moves ignore geocoder noise but catch address changes", () => {
+  const prev = [prescriber("1"), prescriber("2"), prescriber("3")];
+  const next = [
+    prescriber("1", { lat: 40.7361 }),
+    prescriber("2", { lat: 40.75 }),
+    prescriber("3", {
+      address: { city: "Hoboken", state: "NJ", full: "2 Hudson Pl, Hoboken, NJ, 07030" },
+    }),
+  ];
+  const diff = diffSnapshots(prev, next);
+  assert.deepEqual(diff.moved.map(({ p }) => p.id), ["2", "3"]);
+  assert.ok(diff.moved[0].miles > 0.1);
+});
+
+test("contact changes list each field, treating empty as none", () => {
+  const prev = [prescriber("1", { phone: "" })];
+  const next = [prescriber("1", { phone: null, email: "new@example.com" })];
+  const diff = diffSnapshots(prev, next);
+  assert.deepEqual(diff.contactChanges[0].changes, [
+    { field: "email", from: "dr1@example.com", to: "new@example.com" },
+  ]);
+});
+
+test("records that lost their coordinates are newly unmapped", () => {
+  const prev = [prescriber("1")];
+  const next = [
+    prescriber("1", { lat: null, lng: null }),
+    prescriber("2", { lat: null, lng: null }),
+  ];
+  const diff = diffSnapshots(prev, next);
+  assert.deepEqual(diff.newlyUnmapped.map((p) => p.id), ["1", "2"]);
+});
+
+test("the Markdown starts with a commit subject and caps long sections", () => {
+  const next = Array.from({ length: 55 }, (_, i) => prescriber(String(i + 1)));
+  const markdown = formatDiffMarkdown(diffSnapshots([], next), {
+    prevGenerated: null,
+    nextGenerated: "2026-01-01",
+  });
+  const lines = markdown.split("\n");
+  assert.match(lines[0], /^Refresh prescriber data: \+55 added, /);
+  assert.equal(lines[2], "Snapshot (unknown) → 2026-01-01");
+  assert.ok(lines.includes("### Added (55)"));
+  assert.ok(lines.includes("- Doctor 1 [1] — Hoboken, NJ"));
+  assert.ok(lines.includes("- _…and 5 more_"));
+});
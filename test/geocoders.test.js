@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+import { coarsest, createGeocoderChain, offlineProvider, stubProvider } from "../lib/geocoders.js";
+
+const ADDRESS = "1 Hudson Pl, Hoboken, NJ, 07030";
+const STREET = { lat: 40.736, lng: -74.029, precision: "street" };
+
+// The chain logs providers that are down; keep test output quiet
+const quiet = (fn) => async () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    await fn();
+  } finally {
+    console.warn = warn;
+  }
+};
+
+test("the chain falls back to the next provider when one has no match", async () => {
+  const chain = createGeocoderChain([stubProvider({}, "first"), stubProvider({ [ADDRESS]: STREET }, "second")]);
+  const geo = await chain.geocode(ADDRESS);
+  assert.equal(geo.source, "second");
+  assert.equal(geo.precision, "street");
+  assert.equal(geo.degraded, undefined);
+});
+
+test("a result found after a provider failed is degraded", quiet(async () => {
+  const primary = stubProvider({ [ADDRESS]: new Error("HTTP 503") }, "primary");
+  const chain = createGeocoderChain([primary, stubProvider({ [ADDRESS]: STREET }, "backup")]);
+  const geo = await chain.geocode(ADDRESS);
+  assert.equal(geo.source, "backup");
+  assert.equal(geo.degraded, true);
+  assert.equal(primary.stats.failures, 1);
+}));
+
+test("the chain returns null when nobody matches", async () => {
+  const chain = createGeocoderChain([stubProvider({}), stubProvider({})]);
+  assert.equal(await chain.geocode(ADDRESS), null);
+});
+
+test("a city or zip centroid is never reported as street precision", async () => {
+  const city = { lat: 40.744, lng: -74.032, precision: "city" };
+  const geo = await createGeocoderChain([stubProvider({ [ADDRESS]: city })]).geocode(ADDRESS);
+  assert.equal(geo.precision, "city");
+
+  // The offline provider only knows the zip's centroid
+  const dir = mkdtempSync(join(tmpdir(), "geocoders-"));
+  const zipCentroidsPath = join(dir, "zip-centroids.json");
+  writeFileSync(zipCentroidsPath, JSON.stringify({ zips: { "07030": [40.745, -74.028] } }));
+  const offline = await offlineProvider({ zipCentroidsPath }).geocode(ADDRESS);
+  assert.deepEqual(offline, { lat: 40.745, lng: -74.028, precision: "zip", source: "offline" });
+
+  // The zip-only fallback in fetch-prescribers.js coarsens whatever it gets
+  assert.equal(coarsest("street", "zip"), "zip");
+  assert.equal(coarsest("city", "zip"), "city");
+});
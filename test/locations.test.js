@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+
+import { normalizeState } from "../lib/us-states.js";
+import {
+  createPlaceIndex,
+  parseLocationQuery,
+  placesFromPrescribers,
+  resolveLocation,
+} from "../public/js/shared/locations.js";
+
+const table = JSON.parse(readFileSync(new URL("../public/zip-centroids.json", import.meta.url), "utf8"));
+
+const PLACES = [
+  ["Springfield", "IL", 39.802, -89.644, 116565],
+  ["Springfield", "MA", 42.101, -72.59, 154341],
+  ["Springfield", "MO", 37.215, -93.298, 166810],
+  ["Saint Louis", "MO", 38.627, -90.198, 319294],
+];
+
+const resolve = (text, places = createPlaceIndex(PLACES)) =>
+  resolveLocation(parseLocationQuery(text, normalizeState), { zips: table.zips, places });
+
+test("parseLocationQuery tells zips, towns and addresses apart", () => {
+  assert.deepEqual(parseLocationQuery("07030-1234", normalizeState), { kind: "zip", zip: "07030" });
+  assert.deepEqual(parseLocationQuery("Springfield Illinois", normalizeState), {
+    kind: "city",
+    city: "Springfield",
+    state: "IL",
+  });
+  assert.deepEqual(parseLocationQuery("Springfield", normalizeState), {
+    kind: "city",
+    city: "Springfield",
+    state: null,
+  });
+  assert.deepEqual(parseLocationQuery("1 Hudson Pl, Hoboken, NJ 07030", normalizeState), {
+    kind: "address",
+    address: "1 Hudson Pl, Hoboken, NJ 07030",
+    zip: "07030",
+  });
+  assert.equal(parseLocationQuery("  ", normalizeState), null);
+});
+
+test("an ambiguous town lists every match, most populous first", async () => {
+  const candidates = await resolve("Springfield");
+  assert.deepEqual(
+    candidates.map((c) => c.label),
+    ["Springfield, MO", "Springfield, MA", "Springfield, IL"]
+  );
+  assert.ok(candidates.every((c) => c.kind === "city" && c.precision === "city"));
+});
+
+test("a state picks one of them", async () => {
+  const [only, ...rest] = await resolve("Springfield, IL");
+  assert.equal(only.label, "Springfield, IL");
+  assert.deepEqual([only.lat, only.lng], [39.802, -89.644]);
+  assert.equal(rest.length, 0);
+});
+
+test("town names match across abbreviations", async () => {
+  assert.equal((await resolve("St. Louis MO"))[0].label, "Saint Louis, MO");
+});
+
+test("towns from the prescribers fill in only what the table lacks", async () => {
+  const prescribers = [
+    { address: { city: "Springfield", state: "IL" }, lat: 39.7, lng: -89.6 },
+    { address: { city: "Hoboken", state: "NJ" }, lat: 40.74, lng: -74.03 },
+    { address: { city: "Hoboken", state: "NJ" }, lat: 40.75, lng: -74.03 },
+  ];
+  const places = createPlaceIndex(PLACES, placesFromPrescribers(prescribers, normalizeState));
+  assert.deepEqual((await resolve("Springfield, IL", places)).map((c) => c.lat), [39.802]);
+  const [hoboken] = await resolve("Hoboken, NJ", places);
+  assert.deepEqual([hoboken.lat, hoboken.lng], [40.745, -74.03]);
+});
+
+test("the shipped table finds Springfield in many states", async () => {
+  const candidates = await resolve("Springfield", createPlaceIndex(table.places));
+  const states = candidates.map((c) => c.label.slice(-2));
+  assert.ok(candidates.length >= 10);
+  for (const state of ["IL", "MA", "MO", "OH", "OR"]) assert.ok(states.includes(state), state);
+  assert.equal(candidates[0].label, "Springfield, MO");
+});
+
+test("a zip resolves from the shipped table", async () => {
+  const [hoboken] = await resolve("07030");
+  assert.equal(hoboken.precision, "zip");
+  assert.deepEqual([hoboken.lat, hoboken.lng], table.zips["07030"].slice(0, 2));
+});
@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { normalizeStreet, properCaseName } from "../lib/normalize.js";
+
+test("properCaseName keeps surnames that look like credentials", () => {
+  assert.equal(properCaseName("minh do"), "Minh Do");
+  assert.equal(properCaseName("TUAN DO"), "Tuan Do");
+  assert.equal(properCaseName("jane a do"), "Jane A Do");
+  assert.equal(properCaseName("peter pa"), "Peter Pa");
+});
+
+test("properCaseName capitalizes credentials after the name", () => {
+  assert.equal(properCaseName("anna do md"), "Anna Do MD");
+  assert.equal(properCaseName("JANE SMITH, OD"), "Jane Smith, OD");
+  assert.equal(properCaseName("asha sherring, od, faao"), "Asha Sherring, OD, FAAO");
+  assert.equal(properCaseName("john smith iii"), "John Smith III");
+});
+
+test("properCaseName leaves mixed case and particles alone", () => {
+  assert.equal(properCaseName("Elyse McGlumphy"), "Elyse McGlumphy");
+  assert.equal(properCaseName("maria de la cruz"), "Maria de la Cruz");
+  assert.equal(properCaseName("kathleen o'brien"), "Kathleen O'Brien");
+});
+
+test("normalizeStreet abbreviates a direction after the house number", () => {
+  assert.equal(normalizeStreet("900 N. 92nd St."), "900 N 92nd St");
+  assert.equal(normalizeStreet("LOCUST STREET, SUITE 5"), "Locust St, Ste 5");
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+
+import { applyNppes, isValidNpi, loadNppesRecords } from "../lib/npi.js";
+import { auditPrescriber } from "../lib/audit.js";
+
+const FIXTURE = fileURLToPath(new URL("./fixtures/nppes.csv", import.meta.url));
+
+const smith = () => ({
+  name: "Jane Smith",
+  npi: "1234567893",
+  phone: "(201) 555-0100",
+  specialty: null,
+  address: { street: "1 Hudson Place, Suite 200", city: "Hoboken", state: "NJ", zip: "07030" },
+});
+
+test("isValidNpi checks the Luhn digit", () => {
+  assert.equal(isValidNpi("1234567893"), true);
+  assert.equal(isValidNpi("1234567890"), false);
+  assert.equal(isValidNpi("12345"), false);
+});
+
+test("loadNppesRecords keeps only the NPIs asked for", async () => {
+  const records = await loadNppesRecords(FIXTURE, new Set(["1234567893"]));
+  assert.deepEqual([...records.keys()], ["1234567893"]);
+  const record = records.get("1234567893");
+  assert.equal(record.name, "JANE SMITH");
+  assert.equal(record.specialty, "Optometrist");
+  assert.equal(record.practiceAddress.zip, "07030");
+});
+
+test("applyNppes matches the same practice written differently", async () => {
+  const records = await loadNppesRecords(FIXTURE, new Set(["1234567893"]));
+  const p = smith();
+  const nppes = applyNppes(p, records.get("1234567893"));
+  assert.equal(nppes.status, "match");
+  assert.deepEqual(nppes.mismatches, []);
+  assert.equal(p.specialty, "Optometrist");
+});
+
+test("applyNppes flags a different practice address and phone", async () => {
+  const records = await loadNppesRecords(FIXTURE, new Set(["1234567893"]));
+  const p = {
+    ...smith(),
+    phone: "201-555-0199",
+    address: { street: "77 River St", city: "Hoboken", state: "NJ", zip: "07030" },
+  };
+  p.nppes = applyNppes(p, records.get("1234567893"));
+  assert.deepEqual(p.nppes.mismatches, ["address", "phone"]);
+
+  const codes = auditPrescriber(p).map((i) => i.code);
+  assert.ok(codes.includes("npi-address-mismatch"));
+  assert.ok(codes.includes("npi-phone-mismatch"));
+});
+
+test("applyNppes fills a missing phone without flagging it", async () => {
+  const records = await loadNppesRecords(FIXTURE, new Set(["1234567893"]));
+  const p = { ...smith(), phone: null };
+  const nppes = applyNppes(p, records.get("1234567893"));
+  assert.deepEqual(nppes.mismatches, []);
+  assert.equal(p.phone, "2015550100");
+});
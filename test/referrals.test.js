@@ -0,0 +1,88 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { once } from "events";
+import { fileURLToPath } from "url";
+
+import { createAcClient } from "../lib/activecampaign.js";
+import { createOutcomeRecorder, validateOutcome } from "../lib/referrals.js";
+
+const MOCK = fileURLToPath(new URL("../mock-activecampaign.js", import.meta.url));
+const BY = { username: "alice", name: "Alice Smith" };
+
+// The mock AC API on a free port, started fresh for this file
+let mock, baseUrl;
+
+before(async () => {
+  mock = spawn(process.execPath, [MOCK], { env: { ...process.env, MOCK_AC_PORT: "0" } });
+  const [line] = await once(mock.stdout, "data");
+  baseUrl = /(http:\/\/\S+)/.exec(String(line))[1];
+});
+
+after(() => mock.kill());
+
+const state = async () => (await fetch(`${baseUrl}/state`)).json();
+
+function recorder(options) {
+  const ac = createAcClient({ baseUrl, apiKey: "test", requestsPerSecond: 100, retries: 0 });
+  return createOutcomeRecorder(ac, options);
+}
+
+test("recording an outcome writes the note, tag and field value", async () => {
+  const recorded = await recorder({ outcomeFieldId: "31" }).record(["1011"], {
+    outcome: "referral-sent",
+    note: "  Faxed the Rx form ",
+    by: BY,
+  });
+  assert.equal(recorded.fieldUpdated, true);
+  assert.deepEqual(recorded.contactIds, ["1011"]);
+
+  const { notes, tags, contactTags, fieldValues } = await state();
+  const note = notes.find((n) => n.id === recorded.noteIds[0]);
+  assert.equal(
+    note.note,
+    "HOME2 referral: Referral sent — recorded by Alice Smith (alice)\n\nFaxed the Rx form"
+  );
+  assert.equal(note.relid, "1011");
+
+  const tag = tags.find((t) => t.tag === "HOME2 Referral - Referral Sent");
+  assert.ok(contactTags.some((ct) => ct.contact === "1011" && ct.tag === tag.id));
+  assert.ok(
+    fieldValues.some((fv) => fv.contact === "1011" && fv.field === "31" && fv.value === "Referral sent")
+  );
+});
+
+test("a merged record's outcome goes to every one of its contacts", async () => {
+  const recorded = await recorder().record(["2001", "2002"], { outcome: "contacted", by: BY });
+  assert.equal(recorded.fieldUpdated, false);
+  assert.equal(recorded.noteIds.length, 2);
+
+  const { notes, tags, contactTags, fieldValues } = await state();
+  const text = "HOME2 referral: Contacted — recorded by Alice Smith (alice)";
+  for (const id of ["2001", "2002"]) {
+    assert.ok(notes.some((n) => n.relid === id && n.note === text));
+  }
+  // The tag is created once and applied to both
+  const tag = tags.filter((t) => t.tag === "HOME2 Referral - Contacted");
+  assert.equal(tag.length, 1);
+  assert.equal(contactTags.filter((ct) => ct.tag === tag[0].id).length, 2);
+  assert.ok(!fieldValues.some((fv) => fv.contact === "2001"));
+});
+
+test("the mock answers 400 to a body that isn't JSON", async () => {
+  const res = await fetch(`${baseUrl}/api/3/notes`, {
+    method: "POST",
+    headers: { "Api-Token": "test", "Content-Type": "application/json" },
+    body: "{not json",
+  });
+  assert.equal(res.status, 400);
+});
+
+test("validateOutcome checks the outcome and note", () => {
+  assert.equal(validateOutcome({ outcome: "declined" }), null);
+  assert.match(validateOutcome({ outcome: "maybe" }), /^outcome must be one of: /);
+  assert.match(validateOutcome({ outcome: "toString" }), /^outcome must be one of: /);
+  assert.equal(validateOutcome({ outcome: "declined", note: 5 }), "note must be a string");
+  assert.match(validateOutcome({ outcome: "declined", note: "x".repeat(2001) }), /at most 2000/);
+  assert.equal(validateOutcome([]), "body must be a JSON object");
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { RetryableError, withRetry } from "../lib/retry.js";
+
+const OPTIONS = { retries: 2, baseDelayMs: 1, maxDelayMs: 1 };
+
+// A failing call that succeeds on its third attempt
+function flaky(error) {
+  let calls = 0;
+  const fn = async () => {
+    if (++calls < 3) throw error;
+    return "ok";
+  };
+  return { fn, calls: () => calls };
+}
+
+const networkError = () => new TypeError("fetch failed", { cause: new Error("ECONNRESET") });
+
+// withRetry logs each retry; keep test output quiet
+const quiet = (fn) => async () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    await fn();
+  } finally {
+    console.warn = warn;
+  }
+};
+
+test("RetryableErrors are retried", quiet(async () => {
+  const call = flaky(new RetryableError("HTTP 503", { status: 503 }));
+  assert.equal(await withRetry(call.fn, OPTIONS), "ok");
+  assert.equal(call.calls(), 3);
+}));
+
+test("network failures from fetch are retried", quiet(async () => {
+  const call = flaky(networkError());
+  assert.equal(await withRetry(call.fn, OPTIONS), "ok");
+  assert.equal(call.calls(), 3);
+}));
+
+test("other TypeErrors are bugs and are not retried", async () => {
+  const call = flaky(new TypeError("Cannot read properties of undefined"));
+  await assert.rejects(withRetry(call.fn, OPTIONS), TypeError);
+  assert.equal(call.calls(), 1);
+});
+
+test("network failures are not retried for non-idempotent requests", async () => {
+  const call = flaky(networkError());
+  await assert.rejects(withRetry(call.fn, { ...OPTIONS, idempotent: false }), /fetch failed/);
+  assert.equal(call.calls(), 1);
+});
+
+test("RetryableErrors are still retried for non-idempotent requests", quiet(async () => {
+  const call = flaky(new RetryableError("HTTP 429", { status: 429 }));
+  assert.equal(await withRetry(call.fn, { ...OPTIONS, idempotent: false }), "ok");
+}));
+
+test("gives up after the configured number of retries", quiet(async () => {
+  const call = flaky(networkError());
+  await assert.rejects(withRetry(call.fn, { ...OPTIONS, retries: 1 }), /fetch failed/);
+  assert.equal(call.calls(), 2);
+}));
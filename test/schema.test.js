@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { SCHEMA_VERSION, toSchemaRecord, validateOutput } from "../lib/schema.js";
+
+const ADDRESS = {
+  street: "1 Hudson Pl",
+  city: "Hoboken",
+  state: "NJ",
+  zip: "07030",
+  full: "1 Hudson Pl, Hoboken, NJ, 07030",
+};
+
+function output(prescribers) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generated: "2026-01-01T00:00:00.000Z",
+    total: prescribers.length,
+    geocoded: prescribers.filter((p) => p.lat != null).length,
+    noAddress: 0,
+    prescribers,
+  };
+}
+
+test("toSchemaRecord fills every missing field in schema order", () => {
+  const record = toSchemaRecord({
+    id: "7",
+    name: "Jane Smith",
+    address: ADDRESS,
+    lat: 40.736,
+    lng: -74.029,
+  });
+  assert.deepEqual(Object.keys(record).slice(0, 4), ["id", "contactIds", "udate", "name"]);
+  assert.deepEqual(record.contactIds, ["7"]);
+  assert.equal(record.email, null);
+  assert.equal(record.verified, false);
+  assert.equal(record.nppes, null);
+  assert.deepEqual(validateOutput(output([record])), []);
+});
+
+test("toSchemaRecord infers precision for records from before it was tracked", () => {
+  const base = { id: "7", name: "Jane Smith", lat: 40.736, lng: -74.029 };
+  assert.equal(toSchemaRecord({ ...base, address: ADDRESS }).geoPrecision, "street");
+  assert.equal(toSchemaRecord({ ...base, address: { ...ADDRESS, street: "" } }).geoPrecision, "zip");
+  assert.equal(
+    toSchemaRecord({ ...base, address: { ...ADDRESS, street: "", zip: null } }).geoPrecision,
+    "city"
+  );
+  assert.equal(
+    toSchemaRecord({ ...base, lat: null, lng: null, address: ADDRESS }).geoPrecision,
+    "none"
+  );
+});
+
+test("toSchemaRecord keeps values the record already has", () => {
+  const record = toSchemaRecord({
+    id: "7",
+    contactIds: ["7", "9"],
+    name: "Jane Smith",
+    address: ADDRESS,
+    geoPrecision: "zip",
+    verified: true,
+  });
+  assert.deepEqual(record.contactIds, ["7", "9"]);
+  assert.equal(record.geoPrecision, "zip");
+  assert.equal(record.verified, true);
+});
+
+test("validateOutput names the record and field that are wrong", () => {
+  const good = toSchemaRecord({ id: "7", name: "Jane Smith", address: ADDRESS });
+  const bad = { ...good, id: "8", name: "Ann Lee", lat: 140, phoneE164: "2015550100" };
+  const errors = validateOutput(output([good, bad]));
+  assert.equal(errors.length, 2);
+  assert.ok(errors.some((e) => e.startsWith("/prescribers/1/lat [Ann Lee]")));
+  assert.ok(errors.some((e) => e.startsWith("/prescribers/1/phoneE164 [Ann Lee]")));
+});
+
+test("validateOutput rejects a document from another schema version", () => {
+  const errors = validateOutput({ ...output([]), schemaVersion: SCHEMA_VERSION - 1 });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^\/schemaVersion/);
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createPrescriberIndex } from "../lib/search.js";
+
+const HOBOKEN = { lat: 40.744, lng: -74.032 };
+
+const data = {
+  schemaVersion: 3,
+  generated: "2026-01-01T00:00:00.000Z",
+  prescribers: [
+    {
+      id: "1",
+      name: "Jane Smith",
+      email: "jane@example.com",
+      phone: "(201) 555-0100",
+      phoneE164: "+12015550100",
+      specialty: "Optometrist",
+      address: { city: "Hoboken", state: "NJ" },
+      lat: 40.736,
+      lng: -74.029,
+    },
+    {
+      id: "2",
+      name: "Ann Lee",
+      email: "ann@myeyes.net",
+      phone: null,
+      phoneE164: null,
+      specialty: null,
+      prescriberType: "Ophthalmologist",
+      address: { city: "Hoboken", state: "NJ" },
+      lat: 40.745,
+      lng: -74.03,
+    },
+  ],
+};
+
+test("the specialty filter falls back to the prescriber type", () => {
+  const index = createPrescriberIndex(data);
+  const { results } = index.near(HOBOKEN.lat, HOBOKEN.lng, { radius: 5, specialty: "ophthalmologist" });
+  assert.deepEqual(results.map((p) => p.id), ["2"]);
+});
+
+test("the directory leaves out contact details but says whether there are any", () => {
+  const directory = createPrescriberIndex(data).directory();
+  assert.equal(directory.generated, data.generated);
+  const [jane, ann] = directory.prescribers;
+  for (const p of [jane, ann]) {
+    assert.ok(!("email" in p) && !("phone" in p) && !("phoneE164" in p));
+  }
+  assert.equal(jane.hasPhone, true);
+  assert.equal(jane.hasEmail, true);
+  // Internal addresses don't count
+  assert.equal(ann.hasEmail, false);
+  assert.equal(ann.hasPhone, false);
+  // The index keeps them for the contacts endpoint
+  assert.equal(createPrescriberIndex(data).get("1").phone, "(201) 555-0100");
+});